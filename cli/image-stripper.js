@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+// Batch cleanup from the command line: the web app's pipeline (js/lama.js over js/pixels.js) on onnxruntime-node.
+// Masks come from mask profiles (the built-ins, or a JSON exported from the web app, rules included), a reference logo
+// searched for in every image, or per-image mask PNGs.
+// Setup: cd cli && npm install. Run with --help for the options.
+import { readFile, writeFile, readdir, mkdir, stat, access } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import ortNode from 'onnxruntime-node';
+import pngjs from 'pngjs';
+import jpeg from 'jpeg-js';
+
+import { initLamaFromBuffer, probeModel, inpaintImage, setExecutionProviders, setLogger, setSessionOptions } from '../js/lama.js';
+import { orientImage, maskToBinary } from '../js/pixels.js';
+import { BUILTIN_PROFILES, validateProfile, parseProfilesJSON, pickProfile, profileToBinary } from '../js/profiles.js';
+import { prepareTemplate, findLogo, matchMask } from '../js/logomatch.js';
+import { resolveType, outputName } from '../js/export.js';
+import { readMetadata, writeMetadata } from '../js/metadata.js';
+
+const USAGE = `Usage: node cli/image-stripper.js --model lama.onnx --in <folder|file> --out <folder> [options]
+
+Inputs are PNG and JPEG files (EXIF orientation is applied, as in the browser).
+
+Mask (default: the built-in "Upper right" profile)
+  --profiles <file.json>   mask profiles exported from the web app; its rules pick a profile per image
+  --profile <name>         use this profile for every image (from --profiles, or a built-in)
+  --logo <file>            reference crop of the watermark (PNG/JPEG; transparent pixels are not part of it): every
+                           match is masked, images without one are skipped; wins over profiles
+  --logo-threshold <0..1>  minimum match score (default 0.6)
+  --logo-scale <min,max>   sizes to search, relative to the crop (default 0.5,2)
+  --masks <folder>         per-image masks <name>.mask.png or <name>.png (as in the ZIP export); wins over the rest.
+                           Light (luminance ≥ 128) and opaque (alpha ≥ 128) pixels are the hole; everything else is kept
+
+Processing
+  --mode crop|letterbox    native-resolution windows around the mask (default) or the whole image at model size
+  --dilate <px>            grow the mask (default 6)
+  --feather <px>           blend width at the mask edge (default 4)
+  --context <px>           minimum context around each window (default 96; capped at a quarter of the window)
+  --bgr                    the model expects BGR input
+  --threads <n>            intra-op threads for onnxruntime
+
+Output
+  --format png|jpeg|same   (default same)
+  --quality <0..1>         JPEG quality (default 0.92)
+  --keep-metadata          copy orientation (reset to upright), ICC profile and dates from the source
+  --overwrite              replace existing outputs (default: skip them)
+  --verbose                print the model log (I/O detection, compatibility report)
+`;
+
+const CODECS = {
+  'image/png': {
+    decode: (buf) => { const p = pngjs.PNG.sync.read(buf); return { data: new Uint8ClampedArray(p.data.buffer, p.data.byteOffset, p.data.length), width: p.width, height: p.height }; },
+    encode: (img) => pngjs.PNG.sync.write({ width: img.width, height: img.height, data: Buffer.from(img.data.buffer, img.data.byteOffset, img.data.length) }),
+  },
+  'image/jpeg': {
+    decode: (buf) => { const j = jpeg.decode(buf, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 4096 }); return { data: new Uint8ClampedArray(j.data.buffer), width: j.width, height: j.height }; },
+    encode: (img, quality) => jpeg.encode({ data: img.data, width: img.width, height: img.height }, Math.round(quality * 100)).data,
+  },
+};
+const TYPE_BY_EXT = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg' };
+
+async function main() {
+  let args;
+  try { args = parseOptions(); }
+  catch (e) { console.error(e.message + '\n\n' + USAGE); return 2; }
+  if (args.help) { console.log(USAGE); return 0; }
+
+  const profiles = args.profiles ? parseProfilesJSON(await readFile(args.profiles, 'utf8'))
+    : { profiles: BUILTIN_PROFILES.map(validateProfile), rules: [], default: BUILTIN_PROFILES[0].name };
+  const forced = args.profile && profiles.profiles.find(p => p.name === args.profile);
+  if (args.profile && !forced) throw new Error(`Unknown profile "${args.profile}". Known: ${profiles.profiles.map(p => p.name).join(', ')}`);
+
+  let logo = null;
+  if (args.logo) {
+    const type = TYPE_BY_EXT[path.extname(args.logo).toLowerCase()];
+    if (!type) throw new Error('--logo must be a PNG or JPEG file.');
+    logo = prepareTemplate(CODECS[type].decode(await readFile(args.logo)));
+  }
+
+  // masks kept next to the images are inputs' masks, not inputs
+  const files = (await listInputs(args.in)).filter(f => !(args.masks && /\.mask\.png$/i.test(f)));
+  if (!files.length) throw new Error(`No PNG or JPEG files in ${args.in}.`);
+  await mkdir(args.out, { recursive: true });
+
+  // the lama.js pipeline reads the runtime from the `ort` global, as in the browser worker
+  globalThis.ort = ortNode;
+  setLogger(args.verbose ? (m) => console.error('[lama] ' + m) : () => {});
+  setExecutionProviders(['cpu']);
+  if (args.threads) setSessionOptions({ intraOpNumThreads: args.threads });
+  console.error(`Loading ${args.model}…`);
+  await initLamaFromBuffer(new Uint8Array(await readFile(args.model)), undefined, { id: 'cli', settings: { assumeBGR: args.bgr } });
+  await probeModel(); // no model library here: self-test ranges / channel order / dims on every run
+
+  const opts = { mode: args.mode, dilate: args.dilate, feather: args.feather, context: args.context };
+  let done = 0, skipped = 0;
+  const failed = [];
+  for (let i = 0; i < files.length; i++) {
+    const file = files[i], name = path.basename(file), tag = `[${i + 1}/${files.length}] ${name}`;
+    try {
+      const srcType = TYPE_BY_EXT[path.extname(file).toLowerCase()];
+      const type = resolveType(args.format, { type: srcType });
+      const outFile = path.join(args.out, outputName(name, type));
+      if (!args.overwrite && await exists(outFile)) { skipped++; console.error(`${tag}: exists, skipped`); continue; }
+
+      const bytes = await readFile(file);
+      const meta = await readMetadata(new Blob([bytes]));
+      const img = orientImage(CODECS[srcType].decode(bytes), meta.orientation);
+
+      let mask, maskFrom;
+      const maskFile = args.masks && await findMask(args.masks, file);
+      if (maskFile) {
+        const m = CODECS['image/png'].decode(await readFile(maskFile));
+        if (m.width !== img.width || m.height !== img.height) throw new Error(`mask ${path.basename(maskFile)} is ${m.width}×${m.height}, image is ${img.width}×${img.height}`);
+        mask = maskToBinary(m); maskFrom = path.basename(maskFile);
+      } else if (logo) {
+        const matches = findLogo(img, logo, args.logoOpts);
+        if (!matches.length) { skipped++; console.error(`${tag}: no logo match, skipped`); continue; }
+        mask = matchMask(img.width, img.height, logo, matches);
+        maskFrom = 'logo ' + matches.map(m => `${m.score.toFixed(2)} at ${m.x},${m.y}`).join('; ');
+      } else {
+        const profile = forced || pickProfile(profiles, { name, width: img.width, height: img.height }).profile;
+        mask = profileToBinary(profile, img.width, img.height); maskFrom = `profile "${profile.name}"`;
+      }
+
+      const { image, timings, windows } = await inpaintImage(img, mask, opts);
+      let out = CODECS[type].encode(image, args.quality);
+      if (args.keepMetadata) out = Buffer.from(await (await writeMetadata(new Blob([out]), type, meta, { width: image.width, height: image.height })).arrayBuffer());
+      await writeFile(outFile, out);
+      done++;
+      console.error(`${tag}: ${maskFrom}, ${windows} window(s), inference ${Math.round(timings.infer)} ms -> ${path.basename(outFile)}`);
+    } catch (e) {
+      failed.push(name);
+      console.error(`${tag}: FAILED ${e.message || e}`);
+    }
+  }
+  console.error(`Done: ${done} written, ${skipped} skipped, ${failed.length} failed${failed.length ? ` (${failed.join(', ')})` : ''}.`);
+  return failed.length ? 1 : 0;
+}
+
+function parseOptions() {
+  const { values: v } = parseArgs({
+    options: {
+      model: { type: 'string' }, in: { type: 'string' }, out: { type: 'string' },
+      profiles: { type: 'string' }, profile: { type: 'string' }, masks: { type: 'string' },
+      logo: { type: 'string' }, 'logo-threshold': { type: 'string', default: '0.6' }, 'logo-scale': { type: 'string', default: '0.5,2' },
+      mode: { type: 'string', default: 'crop' }, dilate: { type: 'string', default: '6' }, feather: { type: 'string', default: '4' }, context: { type: 'string', default: '96' },
+      bgr: { type: 'boolean', default: false }, threads: { type: 'string' },
+      format: { type: 'string', default: 'same' }, quality: { type: 'string', default: '0.92' },
+      'keep-metadata': { type: 'boolean', default: false }, overwrite: { type: 'boolean', default: false },
+      verbose: { type: 'boolean', default: false }, help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  if (v.help) return { help: true };
+  for (const k of ['model', 'in', 'out']) if (!v[k]) throw new Error(`Missing --${k}.`);
+  if (!['crop', 'letterbox'].includes(v.mode)) throw new Error('--mode must be crop or letterbox.');
+  if (!['png', 'jpeg', 'same'].includes(v.format)) throw new Error('--format must be png, jpeg or same.');
+  const num = (k, lo, hi) => {
+    const n = Number(v[k]);
+    if (!Number.isFinite(n) || n < lo || n > hi) throw new Error(`--${k} must be a number from ${lo} to ${hi}.`);
+    return n;
+  };
+  const [minScale, maxScale] = v['logo-scale'].split(',').map(Number);
+  if (!(minScale > 0 && maxScale >= minScale)) throw new Error('--logo-scale must be min,max with 0 < min ≤ max.');
+  return {
+    model: v.model, in: v.in, out: v.out, profiles: v.profiles, profile: v.profile, masks: v.masks,
+    logo: v.logo, logoOpts: { threshold: num('logo-threshold', 0.1, 1), minScale, maxScale },
+    mode: v.mode, dilate: num('dilate', 0, 256), feather: num('feather', 0, 256), context: num('context', 0, 1024),
+    bgr: v.bgr, threads: v.threads ? num('threads', 1, 256) | 0 : 0,
+    format: v.format, quality: num('quality', 0.01, 1), keepMetadata: v['keep-metadata'], overwrite: v.overwrite, verbose: v.verbose,
+  };
+}
+
+async function listInputs(p) {
+  if (!(await stat(p)).isDirectory()) return TYPE_BY_EXT[path.extname(p).toLowerCase()] ? [p] : [];
+  const names = (await readdir(p)).filter(n => TYPE_BY_EXT[path.extname(n).toLowerCase()]).sort();
+  return names.map(n => path.join(p, n));
+}
+
+// <name>.mask.png, else <name>.png unless that is the input itself (--masks pointing at the input folder)
+async function findMask(dir, file) {
+  const base = path.basename(file).replace(/\.[^.]+$/, '');
+  for (const f of [`${base}.mask.png`, `${base}.png`]) {
+    const p = path.join(dir, f);
+    if (path.resolve(p) !== path.resolve(file) && await exists(p)) return p;
+  }
+  return null;
+}
+
+const exists = (f) => access(f).then(() => true, () => false);
+
+main().then((code) => { process.exitCode = code; }, (e) => { console.error(e.message || e); process.exitCode = 1; });
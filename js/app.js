@@ -1,99 +1,694 @@
-// UI glue: image selection pills, spinner, per-image progress, sequential processing
-let _statusEl, _inpaintOne;
+// UI glue: the persistent job queue (js/jobstore.js) with one tile per file, mask editors opened on demand,
+// sequential processing with pause/skip/cancel, retry and a failure summary
+import { createMaskEditor, drawMaskPreview } from './maskeditor.js';
+import { downloadResult, exportZip, saveBlob } from './export.js';
+import { createCompareViewer } from './compare.js';
+import { profileNames, profileMaskFor, drawNamedProfile, saveProfileFromMask } from './profilelib.js';
+import { prepareTemplate, drawMatchMask } from './logomatch.js';
+import { makeCanvas, imageFromDrawable } from './canvasio.js';
+import { isVideoFile, openVideo, processVideo } from './video.js';
+import { addJobs, listJobs, updateJob, loadJobInput, saveJobMask, loadJobOutput, saveJobOutput, deleteJob } from './jobstore.js';
 
-let _avgInferMs = 1200; // rolling average for smoother progress
+const LOGO_KEY = 'lama.referenceLogo';
+const MAX_OPEN = 4;     // tiles holding decoded pixels and a mask editor at once; the least recently used one closes
+const THUMB_W = 320;    // preview width of closed tiles
+const IMAGE_EXT = /\.(png|jpe?g|webp|gif|bmp|avif)$/i;
+const JOB_FIELDS = ['status', 'error', 'maskSource', 'edited', 'boxes', 'timings', 'windows', 'provider', 'width', 'height'];
 
-export function uiInit({ inpaintOne, statusEl }) {
+let _statusEl, _log, _inpaintOne, _detectText, _findLogo, _onQueueChange;
+
+// one per queued file: the job's fields (js/jobstore.js) + { tile, busy }, and while open { file, bmp, video?, editor, viewer? }
+let _items = [];
+let _open = [];         // open items, least recently used first
+let _loading = null;    // pending restore / add of the last pick or drop
+let _rerun = null;      // per-tile re-run and retry, bound in uiInit
+let _retry = null;
+let _logo = null;       // reference logo: { name, template } (see js/logomatch.js)
+let _thumbs = null;     // IntersectionObserver: previews are decoded as tiles scroll into view
+let _thumbQueue = Promise.resolve(); // ...one at a time
+const _thumbOwner = new WeakMap();
+
+export function uiInit({ inpaintOne, detectText, findLogo, statusEl, log, onQueueChange }) {
   _statusEl = statusEl;
+  _log = log || (() => {});
   _inpaintOne = inpaintOne;
+  _detectText = detectText;
+  _findLogo = findLogo;
+  _onQueueChange = onQueueChange;
 
   const $files   = document.getElementById('fileInput');
+  const $folder  = document.getElementById('folderInput');
   const $process = document.getElementById('processBtn');
   const $gallery = document.getElementById('gallery');
+  const $detect  = document.getElementById('detectBtn');
+  const $autoDet = document.getElementById('detectAuto');
+  const $pause   = document.getElementById('pauseBtn');
+  const $skip    = document.getElementById('skipBtn');
+  const $cancel  = document.getElementById('cancelBtn');
+  const $zip     = document.getElementById('zipBtn');
+  const $clear   = document.getElementById('clearQueueBtn');
+  const $retryAll = document.getElementById('retryAllBtn');
+  const $logoIn  = document.getElementById('logoInput');
+  const $logoBtn = document.getElementById('logoBtn');
+  const $autoLogo = document.getElementById('logoAuto');
+  const $logoName = document.getElementById('logoName');
 
-  $files.addEventListener('change', () => updateImagesInfo($files.files));
+  // Whatever the last visit left in the queue comes back first
+  _loading = listJobs().then((jobs) => {
+    for (const job of jobs) createItem(job, $gallery);
+    queueChanged();
+    if (!jobs.length) return;
+    const left = _items.filter(runnable).length, failed = _items.filter(it => it.status === 'error').length;
+    _statusEl.textContent = `Restored ${jobs.length} queued file(s): ${left} to process, ${failed} failed. Process picks up from there.`;
+  }).catch((e) => {
+    console.error(e);
+    _statusEl.textContent = 'Could not restore the queue: ' + (e.message || e);
+  });
 
-  async function handleProcess() {
-    const modelSelected = document.getElementById('modelName').textContent !== 'No model selected';
-    if (!modelSelected) { _statusEl.textContent = 'Load the model first.'; return; }
-    const files = $files.files;
-    if (!files || files.length === 0) { _statusEl.textContent = 'Choose images first.'; return; }
-
-    setBusy(true, `Processing 0/${files.length}…`);
-
-    // Decode upfront (fast), then process sequentially
-    const bitmaps = [];
-    for (const f of files) {
-      const url = URL.createObjectURL(f);
-      const img = new Image(); img.src = url; await img.decode();
-      const bmp = await createImageBitmap(img);
-      URL.revokeObjectURL(url);
-      bitmaps.push({ name: f.name, bmp });
+  // Adds run one after another; a failed one is reported and leaves the chain usable for the next
+  const enqueueAdd = (work) => {
+    _loading = Promise.resolve(_loading).then(work).catch((e) => {
+      console.error(e);
+      _log('Adding files failed: ' + (e.message || e));
+      _statusEl.textContent = 'Could not add the files: ' + (e.message || e);
+    });
+  };
+  const addPicked = (input) => {
+    const list = Array.from(input.files || [], file => ({ file, path: file.webkitRelativePath || file.name }));
+    input.value = '';
+    enqueueAdd(() => addFiles(list));
+  };
+  $files.addEventListener('change', () => addPicked($files));
+  $folder?.addEventListener('change', () => addPicked($folder));
+
+  // Files and whole folders dropped anywhere on the page
+  const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+  document.addEventListener('dragover', (e) => { if (hasFiles(e)) { e.preventDefault(); document.body.classList.add('dragging'); } });
+  document.addEventListener('dragleave', (e) => { if (!e.relatedTarget) document.body.classList.remove('dragging'); });
+  document.addEventListener('drop', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    document.body.classList.remove('dragging');
+    const dropped = droppedFiles(e.dataTransfer); // reads the entries before the event ends
+    dropped.catch(() => {}); // reported by enqueueAdd once its turn comes
+    enqueueAdd(async () => addFiles(await dropped));
+  });
+
+  // Queue new files; nothing is decoded until a tile is opened, previewed or processed
+  async function addFiles(list) {
+    const media = list.filter(({ file }) => isVideoFile(file) || file.type.startsWith('image/') || IMAGE_EXT.test(file.name));
+    const ignored = list.length - media.length;
+    if (!media.length) { if (ignored) _statusEl.textContent = `No images or videos among ${ignored} file(s).`; return; }
+    setBusy(true, `Queueing ${media.length} file(s)…`);
+    try {
+      const jobs = await addJobs(media.map(({ file, path }) => ({ file, path, kind: isVideoFile(file) ? 'video' : 'image' })));
+      const items = jobs.map(job => createItem(job, $gallery));
+      queueChanged();
+      if ($autoDet?.checked) await runDetection(items);
+      if ($autoLogo?.checked && _logo) await runLogoMatch(items);
+      _statusEl.textContent = `Queued ${jobs.length} file(s)${ignored ? ` (${ignored} ignored: not an image or video)` : ''}. Edit the masks if needed, then Process.`;
+    } catch (e) {
+      console.error(e);
+      _statusEl.textContent = 'Could not queue the files: ' + (e.message || e);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  // Replace each tile's starting mask with detected text regions and outline them for review
+  async function runDetection(items) {
+    if (!_detectText) return;
+    const opts = readDetectOptions();
+    let total = 0;
+    for (let i = 0; i < items.length; i++) {
+      const item = items[i], { tile } = item;
+      _statusEl.textContent = `Detecting text ${i+1}/${items.length}…`;
+      try {
+        await openItem(item);
+        const { boxes, mask } = await _detectText(item.bmp, opts);
+        item.editor.setBase(mask);
+        item.editor.setBoxes(boxes);
+        item.boxes = boxes;
+        setMaskSource(item, 'detected');
+        await storeMask(item);
+        tile.stageEl.textContent = boxes.length ? `${boxes.length} region(s)` : 'no text found';
+        total += boxes.length;
+      } catch (e) {
+        tile.stageEl.textContent = 'detect error';
+        console.error(e);
+      }
+    }
+    _statusEl.textContent = `Detected ${total} region(s) in ${items.length} image(s). Review, then Process.`;
+  }
+
+  // The reference logo is picked once and kept (as a data URL) for later visits
+  async function setLogo(name, url, persist) {
+    const img = new Image(); img.src = url; await img.decode();
+    _logo = { name, template: prepareTemplate(imageFromDrawable(img)) };
+    if ($logoName) $logoName.textContent = `${name} (${img.naturalWidth}×${img.naturalHeight})`;
+    if (!persist) return;
+    try { localStorage.setItem(LOGO_KEY, JSON.stringify({ name, url })); }
+    catch (e) { console.warn('Reference logo too large to remember between visits.', e); }
+  }
+
+  $logoIn?.addEventListener('change', async () => {
+    const f = $logoIn.files?.[0];
+    $logoIn.value = '';
+    if (!f) return;
+    try {
+      const url = await new Promise((resolve, reject) => {
+        const r = new FileReader(); r.onload = () => resolve(r.result); r.onerror = () => reject(r.error); r.readAsDataURL(f);
+      });
+      await setLogo(f.name, url, true);
+      _statusEl.textContent = 'Reference logo set. Find logo to mask it in every image.';
+    } catch (e) {
+      console.error(e);
+      _statusEl.textContent = 'Could not read the reference logo: ' + (e.message || e);
     }
+  });
+  try {
+    const saved = JSON.parse(localStorage.getItem(LOGO_KEY));
+    if (saved?.url) setLogo(saved.name, saved.url, false).catch(e => console.warn('Stored reference logo unreadable.', e));
+  } catch { /* nothing stored */ }
 
-    $gallery.innerHTML = '';
-    const tiles = bitmaps.map(b => addTile(b.name, $gallery));
-
-    for (let i = 0; i < bitmaps.length; i++) {
-      const tile = tiles[i];
-      const { canv, btn, bar, stageEl, pctEl } = tile;
-
-      stageEl.textContent = 'preprocess';
-      setProgress(bar, pctEl, 0.05);
-      _statusEl.textContent = `Processing ${i+1}/${bitmaps.length}…`;
-
-      let running = true;
-      const start = performance.now();
-      const est   = Math.max(300, _avgInferMs);
-      let rafId;
-      const tick = () => {
-        if (!running) return;
-        const elapsed = performance.now() - start;
-        const frac = Math.min(0.95, (elapsed / est) * 0.85 + 0.10);
-        stageEl.textContent = 'inference';
-        setProgress(bar, pctEl, frac);
-        rafId = requestAnimationFrame(tick);
-      };
-      rafId = requestAnimationFrame(tick);
-
-      let result, timings;
+  // Mask every match of the reference logo; images without one are marked and skipped by Process
+  async function runLogoMatch(items) {
+    if (!_logo) { _statusEl.textContent = 'Choose a reference logo first.'; return; }
+    const opts = readLogoOptions();
+    let found = 0;
+    for (let i = 0; i < items.length; i++) {
+      const item = items[i], { tile } = item;
+      _statusEl.textContent = `Matching logo ${i+1}/${items.length}…`;
       try {
-        ({ canvas: result, timings } = await _inpaintOne(bitmaps[i].bmp));
+        await openItem(item);
+        const { bmp, editor } = item;
+        const matches = await _findLogo(bmp, _logo.template, opts);
+        editor.setBoxes(matches);
+        editor.setBase(matches.length ? drawMatchMask(_logo.template, matches, bmp.width, bmp.height) : null);
+        item.boxes = matches;
+        setMaskSource(item, matches.length ? 'logo' : 'logo:none');
+        await storeMask(item);
+        if (matches.length) found++;
+        tile.stageEl.textContent = matches.length ? matches.map(m => `logo ${m.score.toFixed(2)} at ${m.x},${m.y}`).join('; ') : 'no logo match';
       } catch (e) {
-        running = false; if (rafId) cancelAnimationFrame(rafId);
-        stageEl.textContent = 'error';
-        setProgress(bar, pctEl, 1);
-        canv.width = 600; canv.height = 50;
-        const g = canv.getContext('2d'); g.fillStyle = '#fff'; g.fillText('Error: ' + (e.message || e), 10, 28);
-        continue;
+        tile.stageEl.textContent = 'logo match error';
+        console.error(e);
       }
-      running = false; if (rafId) cancelAnimationFrame(rafId);
+    }
+    _statusEl.textContent = `Logo found in ${found} of ${items.length} image(s)${found < items.length ? '; the others are skipped unless you draw a mask' : ''}. Review, then Process.`;
+  }
+
+  $logoBtn?.addEventListener('click', async () => {
+    if (_loading) await _loading;
+    if (_items.length === 0) { _statusEl.textContent = 'Add images first.'; return; }
+    setBusy(true);
+    try { await runLogoMatch(_items); } finally { setBusy(false); }
+  });
+
+  $detect?.addEventListener('click', async () => {
+    if (_loading) await _loading;
+    if (_items.length === 0) { _statusEl.textContent = 'Add images first.'; return; }
+    setBusy(true);
+    try { await runDetection(_items); } finally { setBusy(false); }
+  });
+
+  // Queue controls: Pause holds before the next image, Skip aborts the current one, Cancel aborts and stops the run
+  const queue = { running: false, paused: false, cancelled: false, current: null, resume: null };
+
+  $pause.addEventListener('click', () => {
+    queue.paused = !queue.paused;
+    $pause.textContent = queue.paused ? 'Resume' : 'Pause';
+    if (!queue.paused) { queue.resume?.(); queue.resume = null; }
+  });
+  $skip.addEventListener('click', () => queue.current?.abort());
+  $cancel.addEventListener('click', () => {
+    queue.cancelled = true;
+    queue.current?.abort();
+    if (queue.paused) $pause.click();
+  });
+
+  function setQueueControls(on) {
+    queue.running = on;
+    for (const b of [$pause, $skip, $cancel]) b.disabled = !on;
+    $pause.textContent = 'Pause';
+  }
 
-      if (timings?.infer) _avgInferMs = 0.7 * _avgInferMs + 0.3 * timings.infer;
+  const modelSelected = () => document.getElementById('modelName').textContent !== 'No model selected';
 
-      stageEl.textContent = 'postprocess';
-      setProgress(bar, pctEl, 0.98);
+  // Work through `items` in order; a failure is recorded on its tile and in the summary, and the run goes on
+  async function runQueue(items, optsFor = () => readInpaintOptions()) {
+    if (!modelSelected()) { _statusEl.textContent = 'Load the model first.'; return; }
+    if (queue.running) { _statusEl.textContent = 'Wait for the current run to finish (or cancel it) first.'; return; }
 
-      canv.width = result.width; canv.height = result.height;
-      canv.getContext('2d').drawImage(result, 0, 0);
+    setBusy(true, `Processing 0/${items.length}…`);
+    Object.assign(queue, { paused: false, cancelled: false, current: null });
+    setQueueControls(true);
 
-      setProgress(bar, pctEl, 1.0);
-      stageEl.textContent = 'done';
-      btn.onclick = () => downloadCanvas(canv, files[i].name);
+    let done = 0, failed = 0;
+    try {
+      for (let i = 0; i < items.length; i++) {
+        if (queue.paused) {
+          _statusEl.textContent = `Paused before ${i+1}/${items.length}.`;
+          await new Promise(r => { queue.resume = r; });
+        }
+        if (queue.cancelled) break;
+        if (!_items.includes(items[i])) continue; // removed meanwhile
+
+        _statusEl.textContent = `Processing ${i+1}/${items.length}…`;
+        const ac = new AbortController(); queue.current = ac;
+        try {
+          // anything processItem didn't foresee still ends up as a listed, retryable failure
+          const status = await processItem(items[i], optsFor(items[i]), ac.signal, queue).catch(e => fail(items[i], e.message || String(e)));
+          if (status === 'done') done++; else if (status === 'error') failed++;
+        } finally {
+          queue.current = null;
+        }
+      }
+    } finally {
+      setQueueControls(false);
+      setBusy(false);
     }
+    const tail = failed ? `, ${failed} failed (see Failures)` : '';
+    _statusEl.textContent = queue.cancelled ? `Cancelled (${done} done${tail}).` : `Done: ${done} cleaned${tail}.`;
+  }
 
-    _statusEl.textContent = 'Done.';
-    setBusy(false);
+  // Process runs everything not yet done; failed files wait for Retry
+  async function handleProcess() {
+    if (_loading) await _loading;
+    if (_items.length === 0) { _statusEl.textContent = 'Add images first.'; return; }
+    const items = _items.filter(runnable);
+    if (!items.length) { _statusEl.textContent = 'Nothing left to process. Retry failed files or re-run a tile.'; return; }
+    await runQueue(items);
   }
 
+  // Redo one tile with its own settings (current mask, mode, seam, provider); Skip/Cancel abort it
+  _rerun = (item) => runQueue([item], () => readRerunOptions(item.tile.rerun));
+  _retry = (item) => runQueue([item]);
+
   $process.addEventListener('click', handleProcess);
+  $retryAll?.addEventListener('click', () => {
+    const failed = _items.filter(it => it.status === 'error');
+    if (failed.length) runQueue(failed);
+  });
+  $clear?.addEventListener('click', async () => {
+    if (queue.running) { _statusEl.textContent = 'Cancel the current run first.'; return; }
+    if (!_items.length || !confirm(`Remove all ${_items.length} file(s) from the queue, results included?`)) return;
+    for (const it of [..._items]) await removeItem(it);
+    _statusEl.textContent = 'Queue cleared.';
+  });
+
+  // No await before exportZip: its save dialog needs this click's user gesture. Each job is read back from the store as it's zipped.
+  $zip?.addEventListener('click', () => {
+    if (_items.length === 0) { _statusEl.textContent = 'Nothing to export yet.'; return; }
+    const entries = _items.map(it => ({
+      name: it.name, status: it.status, error: it.error, timings: it.timings, windows: it.windows,
+      maskSource: (it.maskSource || 'default') + (it.edited || it.editor?.isEdited() ? '+edited' : ''),
+      load: () => exportParts(it),
+    }));
+    exportZip(entries, readExportOptions(), (i, n) => { _statusEl.textContent = `Zipping ${Math.min(i+1, n)}/${n}…`; })
+      .then(saved => { if (saved) _statusEl.textContent = `Exported ${entries.filter(e => e.status === 'done').length} result(s) as ZIP.`; })
+      .catch(e => { console.error(e); _statusEl.textContent = 'ZIP export failed: ' + (e.message || e); });
+  });
+}
+
+const runnable = (item) => item.status !== 'done' && item.status !== 'error';
+
+// A tile for a job; its pixels stay on disk until it is opened
+function createItem(job, gallery) {
+  const tile = addTile(job.name, gallery);
+  const item = { ...job, tile, busy: false, file: null, bmp: null, video: null, editor: null, viewer: null };
+  _items.push(item);
+  wireProfileRow(item, item.maskSource?.startsWith('profile:') ? item.maskSource.slice(8) : '');
+  tile.btn.onclick = () => downloadItem(item).catch(e => { _statusEl.textContent = 'Export failed: ' + (e.message || e); });
+  tile.retryBtn.onclick = () => _retry?.(item);
+  tile.removeBtn.onclick = () => removeItem(item).catch(e => { _statusEl.textContent = 'Could not remove: ' + (e.message || e); });
+  tile.openBtn.onclick = () => openItem(item).catch(e => {
+    tile.stageEl.textContent = 'cannot decode';
+    _statusEl.textContent = `Could not decode ${item.name}: ${e.message || e}`;
+  });
+  tile.rerun.details.addEventListener('toggle', () => { if (tile.rerun.details.open) fillRerunOptions(tile.rerun, readInpaintOptions()); });
+  tile.rerun.run.onclick = () => _rerun?.(item);
+  showStatus(item);
+  observeThumb(item);
+  return item;
+}
+
+// Decode a job and give its tile a mask editor; beyond MAX_OPEN the least recently used open tile is closed
+async function openItem(item) {
+  _open = _open.filter(it => it !== item).concat(item);
+  if (!item.editor) {
+    item.opening ||= materialize(item).finally(() => { item.opening = null; });
+    try { await item.opening; }
+    catch (e) { _open = _open.filter(it => it !== item); throw e; }
+  }
+  for (const it of _open.slice(0, -MAX_OPEN)) if (!it.busy) await closeItem(it);
+}
+
+async function materialize(item) {
+  const { tile } = item;
+  const { file, mask: saved } = await loadJobInput(item.id);
+  // a video gets one tile: its first frame carries the mask shared by every frame
+  const video = item.kind === 'video' ? await openVideo(file) : null;
+  let bmp;
+  try { bmp = video ? await video.frameAt(0) : await decodeImage(file); }
+  catch (e) { video?.close(); throw e; }
+  const W = bmp.width, H = bmp.height;
+  if (video) tile.meta.textContent = `${item.name} · ${video.duration.toFixed(1)} s · ${video.fps} fps`;
+
+  const { mask, picked } = await startingMask(item, saved, W, H);
+  if (picked) { item.maskSource = `profile:${picked}`; tile.profile.select.value = picked; }
+  const editor = createMaskEditor(bmp, mask);
+  if (item.boxes?.length) editor.setBoxes(item.boxes); // detected / matched regions stay outlined across close and reload
+  tile.wrap.insertBefore(editor.el, tile.canv);
+  tile.thumb.hidden = true; tile.openBtn.hidden = true;
+  Object.assign(item, { file, bmp, video, editor, width: W, height: H });
+  if (item.status === 'done' && item.kind === 'image') {
+    const out = await loadJobOutput(item.id);
+    if (out) showResult(item, await createImageBitmap(out.blob));
+  }
+  persist(item);
+}
+
+// The saved mask, else the job's profile, else (new job, or that profile is gone) what the rules pick: { mask, picked? }
+async function startingMask(item, saved, W, H) {
+  if (saved) return { mask: await blobToCanvas(saved) };
+  const profile = item.maskSource?.startsWith('profile:') ? item.maskSource.slice(8) : null;
+  const mask = profile ? drawNamedProfile(profile, W, H) : null;
+  if (mask || (item.maskSource && !profile)) return { mask }; // detected / logo without a saved mask: nothing to draw
+  const pick = profileMaskFor(item.name, W, H);
+  return { mask: pick.mask, picked: pick.profile };
+}
+
+// Save the mask and drop the decoded pixels; the tile keeps a small preview (with the mask, until it's processed)
+async function closeItem(item) {
+  _open = _open.filter(it => it !== item);
+  if (!item.editor) return;
+  await storeMask(item).catch(e => console.warn(`Mask of ${item.name} not saved.`, e));
+  const { tile } = item;
+  if (tile.canv.width && item.status === 'done') drawMaskPreview(tile.thumb, tile.canv, null, [], THUMB_W);
+  else drawMaskPreview(tile.thumb, item.bmp, item.editor.getMask(), item.boxes, THUMB_W);
+  item.editor.destroy(); item.viewer?.destroy(); item.bmp.close?.(); item.video?.close();
+  Object.assign(item, { file: null, bmp: null, video: null, editor: null, viewer: null });
+  tile.canv.width = tile.canv.height = 0; tile.canv.hidden = true;
+  tile.thumb.hidden = false; tile.openBtn.hidden = false;
+}
+
+async function removeItem(item) {
+  if (item.busy) { _statusEl.textContent = `${item.name} is being processed; skip it first.`; return; }
+  _open = _open.filter(it => it !== item);
+  item.editor?.destroy(); item.viewer?.destroy(); item.bmp?.close?.(); item.video?.close();
+  item.tile.wrap.remove();
+  _items = _items.filter(it => it !== item);
+  await deleteJob(item.id);
+  queueChanged();
+}
+
+// The mask is saved once it's more than its profile (detected, logo, edited); a profile mask is redrawn on open
+async function storeMask(item) {
+  if (!item.editor) return;
+  item.edited ||= item.editor.isEdited();
+  const plain = item.maskSource?.startsWith('profile:') && !item.edited;
+  await saveJobMask(item.id, plain ? null : await canvasToBlob(item.editor.getMask()));
+  persist(item);
+}
+
+function setMaskSource(item, source) {
+  item.maskSource = source;
+  item.edited = false;
+  item.tile.profile.select.value = source.startsWith('profile:') ? source.slice(8) : '';
+  persist(item);
+}
+
+function persist(item) {
+  const patch = {};
+  for (const k of JOB_FIELDS) patch[k] = item[k];
+  return updateJob(item.id, patch).catch(e => console.warn(`Queue entry ${item.name} not saved.`, e));
+}
+
+// Per-tile profile picker (resets the mask to that profile) and "save this mask as a profile"
+function wireProfileRow(item, current) {
+  const { select, save } = item.tile.profile;
+  const fill = () => {
+    const v = select.value;
+    select.innerHTML = '';
+    select.add(new Option('—', ''));
+    for (const n of profileNames()) select.add(new Option(n, n));
+    select.value = profileNames().includes(v) ? v : '';
+  };
+  fill(); select.value = current;
+  select.addEventListener('focus', fill); // profiles may have changed in the panel since
+  select.onchange = async () => {
+    const name = select.value;
+    if (!name) return;
+    if (item.editor) {
+      const mask = drawNamedProfile(name, item.bmp.width, item.bmp.height);
+      if (!mask) return;
+      item.editor.setBase(mask);
+      item.editor.setBoxes([]);
+    }
+    item.boxes = [];
+    setMaskSource(item, `profile:${name}`);
+    await saveJobMask(item.id, null);
+    if (!item.editor) refreshThumb(item);
+  };
+  save.onclick = async () => {
+    const name = prompt('Save this mask as profile', select.value || item.name.replace(/^.*\//, '').replace(/\.[^.]+$/, ''))?.trim();
+    if (!name) return;
+    try {
+      await openItem(item);
+      saveProfileFromMask(name, item.editor.getMask());
+      fill(); select.value = name;
+      _statusEl.textContent = `Saved mask profile "${name}".`;
+    } catch (e) {
+      _statusEl.textContent = 'Could not save profile: ' + (e.message || e);
+    }
+  };
+}
+
+/**
+ * Inpaint one item, show it in its tile (compare viewer on success, the error message otherwise) and store the outcome.
+ * Returns the item's new status: 'done' | 'error' | 'skipped' | 'cancelled' | 'empty-mask' | 'no-match'.
+ */
+async function processItem(item, opts, signal, queue) {
+  const { tile } = item;
+  const { bar, stageEl, pctEl } = tile;
+  item.busy = true;
+  try {
+    settle(item, 'running', 'decode'); // stored, so a closed tab leaves it to be resumed
+    try { await openItem(item); }
+    catch (e) { return fail(item, 'Could not decode: ' + (e.message || e)); }
+    const { editor } = item;
+
+    if (item.maskSource === 'logo:none' && !item.edited && !editor.isEdited()) return settle(item, 'no-match', 'no logo match, skipped');
+    if (!editor.hasMask()) return settle(item, 'empty-mask', 'empty mask');
+    try { await storeMask(item); } // a retry after a reload uses this same mask
+    catch (e) { return fail(item, 'Could not save the mask: ' + (e.message || e)); }
+
+    const onProgress = (stage, frac) => { stageEl.textContent = stage; setProgress(bar, pctEl, frac); };
+    Object.assign(item, { error: undefined, timings: undefined, windows: undefined, provider: undefined });
+
+    let result, output;
+    try {
+      let timings, windows, provider;
+      if (item.video) {
+        // every frame with this tile's mask; the first cleaned frame stands in as the tile's result
+        let blob, name;
+        ({ preview: result, blob, name, timings, windows, provider } = await processVideo(item.video, editor.getMask(), _inpaintOne,
+          { ...opts, ...readVideoOptions(), name: item.name, onProgress, signal }));
+        output = { blob, name };
+      } else {
+        ({ bitmap: result, timings, windows, provider } = await _inpaintOne(item.file, editor.getMask(), { ...opts, onProgress, signal }));
+      }
+      Object.assign(item, { timings, windows, provider });
+    } catch (e) {
+      if (e?.name === 'AbortError') return settle(item, queue?.cancelled ? 'cancelled' : 'skipped');
+      return fail(item, e.message || String(e));
+    }
+
+    showResult(item, result);
+    try {
+      // images are kept lossless; Download / ZIP encode them in the chosen format
+      output ||= { blob: await canvasToBlob(tile.canv), name: item.name.replace(/\.[^.]+$/, '') + '.clean.png' };
+      await saveJobOutput(item.id, output);
+    } catch (e) {
+      return fail(item, 'Could not store the result: ' + (e.message || e));
+    }
+    return settle(item, 'done');
+  } finally {
+    item.busy = false;
+  }
+}
+
+// Result into the tile: the hidden canvas is the export source, the viewer shows it against the original
+function showResult(item, result) {
+  const { tile, editor } = item, { canv } = tile;
+  canv.width = result.width; canv.height = result.height;
+  canv.getContext('2d').drawImage(result, 0, 0);
+  result.close?.();
+  canv.hidden = true;
+  if (!item.viewer) {
+    item.viewer = createCompareViewer(item.bmp, canv, () => editor.getMask());
+    tile.wrap.insertBefore(item.viewer.el, canv);
+  }
+  item.viewer.el.hidden = false;
+  item.viewer.setResult(canv);
+}
+
+function fail(item, message) {
+  item.error = message;
+  if (item.viewer) item.viewer.el.hidden = true;
+  return settle(item, 'error');
+}
+
+// New status on the tile, in the store and in the queue summary
+function settle(item, status, stage) {
+  item.status = status;
+  showStatus(item, stage);
+  persist(item);
+  queueChanged();
+  return status;
+}
+
+function showStatus(item, stage) {
+  const { tile, status } = item;
+  tile.stageEl.textContent = stage ?? (status === 'done' ? (item.provider ? `done · ${item.provider}` : 'done') : status === 'pending' ? 'queued' : status);
+  setProgress(tile.bar, tile.pctEl, status === 'done' || status === 'error' ? 1 : 0);
+  tile.errorEl.hidden = status !== 'error';
+  tile.errorEl.textContent = status === 'error' ? item.error || 'unknown error' : '';
+  tile.btn.disabled = status !== 'done';
+  tile.retryBtn.hidden = status !== 'error';
+}
+
+// Queue pill, failure summary and the page's Process button follow every change
+function queueChanged() {
+  const n = _items.length, done = _items.filter(it => it.status === 'done').length, failed = _items.filter(it => it.status === 'error').length;
+  const $info = document.getElementById('imagesInfo');
+  if ($info) $info.textContent = n ? `${n} file(s): ${done} done, ${failed} failed, ${n - done - failed} to do` : 'No images';
+  renderFailures(_items.filter(it => it.status === 'error'));
+  _onQueueChange?.();
+}
+
+function renderFailures(failed) {
+  const panel = document.getElementById('failures'), list = document.getElementById('failureList');
+  if (!panel || !list) return;
+  panel.hidden = !failed.length;
+  const retry = document.getElementById('retryAllBtn');
+  if (retry) retry.disabled = !failed.length;
+  panel.querySelector('summary').textContent = `Failures (${failed.length})`;
+  list.innerHTML = '';
+  for (const it of failed) {
+    const li = document.createElement('li');
+    const name = document.createElement('span'); name.className = 'name'; name.textContent = it.name;
+    const msg = document.createElement('span'); msg.className = 'muted'; msg.textContent = it.error || 'unknown error';
+    li.append(name, msg, button('Retry', () => _retry?.(it)));
+    list.appendChild(li);
+  }
+}
+
+export function hasJobs() { return _items.length > 0; }
+
+async function downloadItem(item) {
+  const out = await loadJobOutput(item.id);
+  if (!out) throw new Error('no stored result for this file.');
+  if (item.kind === 'video') { saveBlob(out.blob, out.name); return; }
+  const { file } = await loadJobInput(item.id);
+  await downloadResult(await blobToCanvas(out.blob), file, readExportOptions());
+}
+
+// What the ZIP needs of one job: source file, mask and result, read back from the store
+async function exportParts(item) {
+  const { file, mask } = await loadJobInput(item.id);
+  const profile = item.maskSource?.startsWith('profile:') ? item.maskSource.slice(8) : null;
+  const parts = {
+    file,
+    mask: item.editor ? item.editor.getMask() : mask ? await blobToCanvas(mask) : profile && item.width ? drawNamedProfile(profile, item.width, item.height) : null,
+  };
+  const out = item.status === 'done' && await loadJobOutput(item.id);
+  if (out) {
+    if (item.kind === 'video') parts.output = out;
+    else parts.canvas = await blobToCanvas(out.blob);
+  }
+  return parts;
 }
 
-export function wireImagePicker() {
-  const $files = document.getElementById('fileInput');
-  updateImagesInfo($files.files);
+/* ---------- previews ---------- */
+function observeThumb(item) {
+  _thumbs ||= new IntersectionObserver((entries) => {
+    for (const e of entries) {
+      if (!e.isIntersecting) continue;
+      _thumbs.unobserve(e.target);
+      refreshThumb(_thumbOwner.get(e.target));
+    }
+  }, { rootMargin: '200px' });
+  _thumbOwner.set(item.tile.thumb, item);
+  _thumbs.observe(item.tile.thumb);
+}
+
+const refreshThumb = (item) => { _thumbQueue = _thumbQueue.then(() => fillThumb(item)).catch(err => console.warn('No preview:', err)); };
+
+// Images only: a video's first frame needs the whole <video> setup, so it shows once opened.
+// Results show as they are; anything else with its mask and boxes, drawn at full size (masks are) then scaled.
+async function fillThumb(item) {
+  if (item.editor || item.kind !== 'image' || !_items.includes(item)) return;
+  const { tile } = item;
+  const out = item.status === 'done' ? await loadJobOutput(item.id) : null;
+  if (out) {
+    const bmp = await createImageBitmap(out.blob, { resizeWidth: THUMB_W, resizeQuality: 'medium' });
+    if (!item.editor) drawMaskPreview(tile.thumb, bmp, null, [], THUMB_W);
+    bmp.close();
+    return;
+  }
+  const { file, mask: saved } = await loadJobInput(item.id);
+  const bmp = await decodeImage(file);
+  try {
+    const { mask } = await startingMask(item, saved, bmp.width, bmp.height);
+    if (!item.editor) drawMaskPreview(tile.thumb, bmp, mask, item.boxes, THUMB_W);
+  } finally {
+    bmp.close();
+  }
 }
 
+/* ---------- files ---------- */
+// Dropped files and folders (walked recursively, paths kept). Entries must be taken before the drop event returns.
+function droppedFiles(dt) {
+  const entries = Array.from(dt.items || [], i => i.webkitGetAsEntry?.()).filter(Boolean);
+  if (!entries.length) return Promise.resolve(Array.from(dt.files || [], file => ({ file, path: file.name })));
+  const out = [];
+  const walk = async (entry) => {
+    if (entry.isFile) {
+      out.push({ file: await new Promise((res, rej) => entry.file(res, rej)), path: entry.fullPath.replace(/^\//, '') });
+    } else if (entry.isDirectory) {
+      const reader = entry.createReader();
+      for (;;) {
+        const batch = await new Promise((res, rej) => reader.readEntries(res, rej)); // at most ~100 per call
+        if (!batch.length) break;
+        for (const e of batch) await walk(e);
+      }
+    }
+  };
+  return (async () => { for (const e of entries) await walk(e); return out; })();
+}
+
+async function decodeImage(blob) {
+  const url = URL.createObjectURL(blob);
+  try {
+    const img = new Image(); img.src = url; await img.decode();
+    return await createImageBitmap(img);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+async function blobToCanvas(blob) {
+  const bmp = await createImageBitmap(blob);
+  const c = makeCanvas(bmp.width, bmp.height);
+  c.getContext('2d').drawImage(bmp, 0, 0);
+  bmp.close();
+  return c;
+}
+
+const canvasToBlob = (canvas) => new Promise((res, rej) => canvas.toBlob(b => b ? res(b) : rej(new Error('Browser cannot encode PNG.')), 'image/png'));
+
 export function setModelLabel(text) {
   const $modelName = document.getElementById('modelName');
   $modelName.textContent = text || 'No model selected';
@@ -106,29 +701,114 @@ export function setBusy(isBusy, statusText) {
   if (statusText && _statusEl) _statusEl.textContent = statusText;
 }
 
-function updateImagesInfo(fileList) {
-  const $info = document.getElementById('imagesInfo');
-  if (!fileList || fileList.length === 0) { $info.textContent = 'No images'; return; }
-  const names = Array.from(fileList).map(f => f.name);
-  const preview = names.length > 3 ? names.slice(0,3).join(', ') + ` … (+${names.length-3})` : names.join(', ');
-  $info.textContent = `${fileList.length} file(s): ${preview}`;
-}
-
 function addTile(name, container) {
   const wrap = document.createElement('div'); wrap.className = 'tile';
-  const head = document.createElement('header'); head.innerHTML = `<span class="meta">${name}</span>`;
-  const btn = document.createElement('button'); btn.textContent = 'Download'; head.appendChild(btn);
-  const canv = document.createElement('canvas');
+  const head = document.createElement('header');
+  const meta = document.createElement('span'); meta.className = 'meta'; meta.textContent = name; head.appendChild(meta);
+  const btn = document.createElement('button'); btn.textContent = 'Download'; btn.disabled = true; head.appendChild(btn);
+  const retryBtn = document.createElement('button'); retryBtn.textContent = 'Retry'; retryBtn.hidden = true; head.appendChild(retryBtn);
+  const removeBtn = document.createElement('button'); removeBtn.textContent = '×'; removeBtn.title = 'Remove from the queue'; head.appendChild(removeBtn);
+  const thumb = document.createElement('canvas'); thumb.className = 'thumb'; thumb.width = thumb.height = 0;
+  const openBtn = document.createElement('button'); openBtn.type = 'button'; openBtn.textContent = 'Edit mask';
+  const canv = document.createElement('canvas'); canv.className = 'result'; canv.hidden = true;
   const progWrap = document.createElement('div'); progWrap.className = 'progress-wrap';
   const row = document.createElement('div'); row.className = 'progress-row';
   const stage = document.createElement('span'); stage.className = 'stage'; stage.textContent = 'ready';
   const pct = document.createElement('span'); pct.className = 'pct'; pct.textContent = '0%';
   const bar = document.createElement('progress'); bar.max = 1; bar.value = 0;
   row.appendChild(stage); row.appendChild(bar); row.appendChild(pct);
-  progWrap.appendChild(row);
+  const errorEl = document.createElement('div'); errorEl.className = 'tile-error'; errorEl.hidden = true;
+  progWrap.appendChild(row); progWrap.appendChild(errorEl);
+  const rerun = addRerunPanel(progWrap);
+
+  const profRow = document.createElement('div'); profRow.className = 'profile-row';
+  const profLbl = document.createElement('label'); profLbl.className = 'opt'; profLbl.textContent = 'Profile ';
+  const profSel = document.createElement('select'); profLbl.appendChild(profSel);
+  const profSave = document.createElement('button'); profSave.type = 'button'; profSave.textContent = 'Save mask as profile';
+  profRow.append(profLbl, profSave, openBtn);
 
-  wrap.appendChild(head); wrap.appendChild(canv); wrap.appendChild(progWrap); container.appendChild(wrap);
-  return { canv, btn, wrap, bar, stageEl: stage, pctEl: pct };
+  wrap.appendChild(head); wrap.appendChild(profRow); wrap.appendChild(thumb); wrap.appendChild(canv); wrap.appendChild(progWrap); container.appendChild(wrap);
+  return { canv, btn, retryBtn, removeBtn, thumb, openBtn, meta, wrap, bar, stageEl: stage, pctEl: pct, errorEl, rerun, profile: { select: profSel, save: profSave } };
+}
+
+function button(text, fn) { const b = document.createElement('button'); b.type = 'button'; b.textContent = text; b.onclick = fn; return b; }
+
+// Per-tile "re-run this image" settings: mode, seam and execution provider
+function addRerunPanel(parent) {
+  const details = document.createElement('details'); details.className = 'rerun';
+  details.innerHTML = `<summary>Re-run this image</summary>
+    <label class="opt">Mode <select data-k="mode"><option value="crop">Native-res crop</option><option value="letterbox">Fast (letterbox)</option></select></label>
+    <label class="opt">Dilate <input data-k="dilate" type="number" min="0" max="64" /> px</label>
+    <label class="opt">Feather <input data-k="feather" type="number" min="0" max="64" /> px</label>
+    <label class="opt">Provider <select data-k="ep"><option value="">Current</option><option value="wasm">WASM</option><option value="webgpu">WebGPU</option></select></label>`;
+  const run = document.createElement('button'); run.type = 'button'; run.textContent = 'Run'; details.appendChild(run);
+  parent.appendChild(details);
+  const field = (k) => details.querySelector(`[data-k="${k}"]`);
+  return { details, run, mode: field('mode'), dilate: field('dilate'), feather: field('feather'), ep: field('ep') };
+}
+
+function fillRerunOptions(panel, opts) {
+  panel.mode.value = opts.mode; panel.dilate.value = opts.dilate; panel.feather.value = opts.feather;
+}
+
+function readRerunOptions(panel) {
+  const num = (el, def) => { const v = parseFloat(el.value); return Number.isFinite(v) ? Math.max(0, v) : def; };
+  const base = readInpaintOptions();
+  const opts = { mode: panel.mode.value || base.mode, dilate: num(panel.dilate, base.dilate), feather: num(panel.feather, base.feather) };
+  if (panel.ep.value) opts.executionProviders = panel.ep.value === 'webgpu' ? ['webgpu', 'wasm'] : ['wasm'];
+  return opts;
+}
+
+// Seam/mode settings from the controls bar
+function readInpaintOptions() {
+  const num = (id, def) => { const v = parseFloat(document.getElementById(id)?.value); return Number.isFinite(v) ? Math.max(0, v) : def; };
+  return {
+    mode:    document.getElementById('modeSelect')?.value || 'crop',
+    dilate:  num('dilateInput', 6),
+    feather: num('featherInput', 4),
+  };
+}
+
+// Detection settings from the detection bar
+function readDetectOptions() {
+  const num = (id, def) => { const v = parseFloat(document.getElementById(id)?.value); return Number.isFinite(v) ? Math.max(0, v) : def; };
+  return {
+    region:        document.getElementById('regionSelect')?.value || 'upper-right',
+    minConfidence: num('minConfInput', 0.5),
+    dilate:        num('detDilateInput', 6),
+  };
+}
+
+// Reference-logo search settings from the logo bar
+function readLogoOptions() {
+  const num = (id, def) => { const v = parseFloat(document.getElementById(id)?.value); return Number.isFinite(v) && v > 0 ? v : def; };
+  const minScale = num('logoMinScale', 0.5);
+  return {
+    threshold: Math.min(1, num('logoThreshInput', 0.6)),
+    minScale,
+    maxScale:  Math.max(minScale, num('logoMaxScale', 2)),
+  };
+}
+
+// Video output settings from the video bar
+function readVideoOptions() {
+  const fps = parseFloat(document.getElementById('videoFpsInput')?.value);
+  const smoothing = parseFloat(document.getElementById('videoSmoothInput')?.value);
+  return {
+    format:    document.getElementById('videoFormatSelect')?.value || 'webm',
+    fps:       Number.isFinite(fps) && fps > 0 ? Math.min(120, fps) : 0,
+    smoothing: Number.isFinite(smoothing) ? Math.min(0.95, Math.max(0, smoothing)) : 0.5,
+  };
+}
+
+// Output format / metadata settings from the export bar
+function readExportOptions() {
+  const q = parseFloat(document.getElementById('qualityInput')?.value);
+  return {
+    format:       document.getElementById('formatSelect')?.value || 'png',
+    quality:      Number.isFinite(q) ? Math.min(1, Math.max(0.05, q)) : 0.92,
+    keepMetadata: !!document.getElementById('keepMeta')?.checked,
+  };
 }
 
 function setProgress(bar, pctEl, v) {
@@ -136,13 +816,3 @@ function setProgress(bar, pctEl, v) {
   bar.value = clamped;
   pctEl.textContent = Math.round(clamped * 100) + '%';
 }
-
-function downloadCanvas(canv, originalName) {
-  canv.toBlob(blob => {
-    const a = document.createElement('a');
-    a.href = URL.createObjectURL(blob);
-    a.download = originalName.replace(/\.[^.]+$/, '') + '.clean.png';
-    a.click();
-    setTimeout(() => URL.revokeObjectURL(a.href), 500);
-  }, 'image/png');
-}
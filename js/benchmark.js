@@ -0,0 +1,84 @@
+// Provider / thread benchmark: times the active model on a synthetic sample in throwaway workers
+// (one per configuration, since ORT fixes the thread count per worker) and remembers the fastest choice.
+import { spawnWorker } from './engine.js';
+
+const BENCH_KEY = 'lama.benchmark';
+const SAMPLE = { w: 1280, h: 960 };
+const RUNS = 2; // the first run includes warm-up (WebGPU shader compile etc.); the faster one counts
+
+/** Configurations worth timing in this browser: WASM per thread count (>1 needs cross-origin isolation), WebGPU if exposed. */
+export function benchmarkConfigs() {
+  const hw = navigator.hardwareConcurrency || 4;
+  const threads = globalThis.crossOriginIsolated ? [...new Set([1, 2, 4, hw >> 1, hw])].filter(t => t >= 1 && t <= hw).sort((a, b) => a - b) : [1];
+  const out = threads.map(numThreads => ({ provider: 'wasm', numThreads }));
+  if ('gpu' in navigator) out.push({ provider: 'webgpu', numThreads: threads[threads.length - 1] });
+  return out;
+}
+
+/**
+ * Time every configuration with the model `bytes` (copied per worker) and its remembered `settings`.
+ * `onProgress(done, total, config)`. Stores and resolves to
+ * { best: { provider, numThreads }, threads, results: [{ provider, numThreads, ms? , error? }], modelId, at },
+ * where `threads` is the fastest WASM thread count.
+ */
+export async function runBenchmark(bytes, settings, { modelId, onProgress, log = () => {} } = {}) {
+  const configs = benchmarkConfigs();
+  const sample = await sampleImage();
+  const results = [];
+  for (let i = 0; i < configs.length; i++) {
+    const cfg = configs[i], r = { ...cfg };
+    onProgress?.(i, configs.length, cfg);
+    const w = spawnWorker({ numThreads: cfg.numThreads, executionProviders: [cfg.provider] });
+    try {
+      const copy = bytes.slice();
+      const info = await w.call('init', { bytes: copy, id: 'bench', settings }, [copy.buffer]).promise;
+      if (info.providers[0] !== cfg.provider) throw new Error(`not available (session runs on ${info.providers[0]})`);
+      for (let k = 0; k < RUNS; k++) {
+        const t = performance.now();
+        const { bitmap, provider } = await w.call('inpaint', { source: sample, mask: null, opts: {} }).promise;
+        bitmap.close();
+        if (provider !== cfg.provider) throw new Error(`failed at run time (fell back to ${provider})`);
+        r.ms = Math.min(r.ms ?? Infinity, performance.now() - t);
+      }
+      log(`benchmark: ${label(cfg)} ${r.ms.toFixed(0)} ms`);
+    } catch (e) {
+      r.error = e.message || String(e);
+      log(`benchmark: ${label(cfg)} ${r.error}`);
+    } finally {
+      w.terminate();
+    }
+    results.push(r);
+  }
+  onProgress?.(configs.length, configs.length);
+
+  const ok = results.filter(r => r.ms != null).sort((a, b) => a.ms - b.ms);
+  if (!ok.length) throw new Error('No provider could run the model.');
+  const wasm = ok.find(r => r.provider === 'wasm');
+  const saved = { best: { provider: ok[0].provider, numThreads: ok[0].numThreads }, threads: wasm?.numThreads ?? null, results, modelId, at: Date.now() };
+  localStorage.setItem(BENCH_KEY, JSON.stringify(saved));
+  return saved;
+}
+
+/** The last stored benchmark result, or null. */
+export function loadBenchmark() {
+  try { return JSON.parse(localStorage.getItem(BENCH_KEY)); } catch { return null; }
+}
+
+export function label(cfg) { return cfg.provider === 'wasm' ? `WASM × ${cfg.numThreads} thread${cfg.numThreads > 1 ? 's' : ''}` : 'WebGPU'; }
+
+// Photo-like sample: smooth gradients plus some noise, so every configuration does the same real work
+async function sampleImage() {
+  const c = new OffscreenCanvas(SAMPLE.w, SAMPLE.h), g = c.getContext('2d');
+  const grad = g.createLinearGradient(0, 0, SAMPLE.w, SAMPLE.h);
+  grad.addColorStop(0, '#3b5d7a'); grad.addColorStop(0.5, '#c9a66b'); grad.addColorStop(1, '#2e4a2a');
+  g.fillStyle = grad; g.fillRect(0, 0, SAMPLE.w, SAMPLE.h);
+  const img = g.getImageData(0, 0, SAMPLE.w, SAMPLE.h), d = img.data;
+  let seed = 1;
+  for (let i = 0; i < d.length; i += 4) {
+    seed = (seed * 1103515245 + 12345) >>> 0;
+    const n = ((seed >>> 16) & 31) - 16;
+    d[i] += n; d[i + 1] += n; d[i + 2] += n;
+  }
+  g.putImageData(img, 0, 0);
+  return c.convertToBlob({ type: 'image/png' });
+}
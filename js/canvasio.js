@@ -0,0 +1,21 @@
+// Canvas adapter for js/pixels.js: drawables (ImageBitmap, canvas, image) in, canvases out.
+// OffscreenCanvas in the inference worker, a DOM canvas otherwise.
+
+export function makeCanvas(w, h) {
+  if (typeof document === 'undefined') return new OffscreenCanvas(w, h);
+  const c = document.createElement('canvas'); c.width = w; c.height = h; return c;
+}
+
+/** Pixels of any drawable as an ImageData-shaped buffer. */
+export function imageFromDrawable(src) {
+  if (typeof src.getContext === 'function') return src.getContext('2d').getImageData(0, 0, src.width, src.height);
+  const c = makeCanvas(src.width, src.height), g = c.getContext('2d');
+  g.drawImage(src, 0, 0);
+  return g.getImageData(0, 0, src.width, src.height);
+}
+
+export function imageToCanvas(img) {
+  const c = makeCanvas(img.width, img.height);
+  c.getContext('2d').putImageData(img instanceof ImageData ? img : new ImageData(img.data, img.width, img.height), 0, 0);
+  return c;
+}
@@ -0,0 +1,138 @@
+// Before/after viewer for a tile: split slider or original/result toggle, one shared zoom/pan (down to single pixels),
+// optional mask overlay. Wheel zooms around the cursor, drag pans, double-click fits.
+
+const MAX_ZOOM = 64;
+const TINT = 'rgba(255,64,64,1)';
+
+/**
+ * `original` and `result` are drawable (ImageBitmap / canvas) at the same size; `getMask()` returns the current mask canvas.
+ * Returns { el, setResult, refresh, destroy }.
+ */
+export function createCompareViewer(original, result, getMask) {
+  const W = original.width, H = original.height;
+
+  const el   = document.createElement('div'); el.className = 'compare';
+  const bar  = document.createElement('div'); bar.className = 'compare-tools';
+  const view = document.createElement('canvas'); view.className = 'compare-view';
+  view.style.aspectRatio = `${W} / ${H}`;
+
+  let mode = 'split', split = 0.5, overlay = false;
+  let zoom = 1, cx = W / 2, cy = H / 2; // zoom relative to fit; (cx, cy) = image point at the view centre
+  let drag = null;
+
+  const modeBtns = {};
+  for (const m of ['split', 'original', 'result']) {
+    const b = button(m[0].toUpperCase() + m.slice(1), () => { mode = m; syncBar(); render(); });
+    modeBtns[m] = b; bar.appendChild(b);
+  }
+  const slider = document.createElement('input'); slider.type = 'range'; slider.min = 0; slider.max = 1; slider.step = 0.001; slider.value = split;
+  slider.oninput = () => { split = +slider.value; render(); };
+  const ovl = document.createElement('label'); ovl.className = 'opt';
+  const ovlIn = document.createElement('input'); ovlIn.type = 'checkbox';
+  ovlIn.onchange = () => { overlay = ovlIn.checked; render(); };
+  ovl.append(ovlIn, 'Mask');
+  const zoomLbl = document.createElement('span'); zoomLbl.className = 'zoom';
+  bar.append(slider, ovl, button('Fit', () => setView(1, W / 2, H / 2)), button('1:1', () => setView(1 / fitScale(), cx, cy)), zoomLbl);
+  el.append(bar, view);
+
+  const ro = new ResizeObserver(() => render());
+  ro.observe(view);
+
+  view.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    const p = toImage(e);
+    const next = clampZoom(zoom * Math.exp(-e.deltaY * 0.0015));
+    // keep the image point under the cursor fixed
+    const k = zoom / next;
+    setView(next, p.x + (cx - p.x) * k, p.y + (cy - p.y) * k);
+  }, { passive: false });
+  view.addEventListener('pointerdown', (e) => { view.setPointerCapture(e.pointerId); drag = { x: e.clientX, y: e.clientY, cx, cy }; });
+  view.addEventListener('pointermove', (e) => {
+    if (!drag) return;
+    const s = scale() / devicePixelRatio;
+    setView(zoom, drag.cx - (e.clientX - drag.x) / s, drag.cy - (e.clientY - drag.y) / s);
+  });
+  view.addEventListener('pointerup', () => { drag = null; });
+  view.addEventListener('pointercancel', () => { drag = null; });
+  view.addEventListener('dblclick', () => setView(1, W / 2, H / 2));
+
+  syncBar();
+
+  function button(text, fn) { const b = document.createElement('button'); b.type = 'button'; b.textContent = text; b.onclick = fn; return b; }
+  function syncBar() { for (const k in modeBtns) modeBtns[k].classList.toggle('active', k === mode); slider.disabled = mode !== 'split'; }
+
+  function fitScale() { return view.width ? Math.min(view.width / W, view.height / H) : 1; }
+  function scale() { return fitScale() * zoom; }
+  function clampZoom(z) { return Math.max(1, Math.min(MAX_ZOOM / Math.max(fitScale(), 1e-6), z)); }
+
+  function setView(z, x, y) {
+    zoom = clampZoom(z);
+    // keep at least the view's worth of image on screen
+    const s = scale(), hw = view.width / s / 2, hh = view.height / s / 2;
+    cx = hw * 2 >= W ? W / 2 : Math.max(hw, Math.min(W - hw, x));
+    cy = hh * 2 >= H ? H / 2 : Math.max(hh, Math.min(H - hh, y));
+    render();
+  }
+
+  function toImage(e) {
+    const r = view.getBoundingClientRect(), s = scale();
+    const vx = (e.clientX - r.left) * view.width / r.width, vy = (e.clientY - r.top) * view.height / r.height;
+    return { x: cx + (vx - view.width / 2) / s, y: cy + (vy - view.height / 2) / s };
+  }
+
+  function render() {
+    const dpr = devicePixelRatio || 1;
+    const cw = Math.max(1, Math.round(view.clientWidth * dpr)), ch = Math.max(1, Math.round(view.clientHeight * dpr));
+    if (view.width !== cw || view.height !== ch) { view.width = cw; view.height = ch; }
+
+    const g = view.getContext('2d'), s = scale();
+    g.setTransform(1, 0, 0, 1, 0, 0);
+    g.fillStyle = '#000'; g.fillRect(0, 0, cw, ch);
+    g.imageSmoothingEnabled = s < 2; // show real pixels once zoomed in
+    g.setTransform(s, 0, 0, s, cw / 2 - cx * s, ch / 2 - cy * s);
+
+    const splitX = split * cw; // split line in view px
+    const drawSide = (img, clipLeft) => {
+      g.save();
+      if (mode === 'split') {
+        g.beginPath();
+        const x0 = (clipLeft ? 0 : splitX), x1 = (clipLeft ? splitX : cw);
+        g.rect((x0 - cw / 2) / s + cx, (0 - ch / 2) / s + cy, (x1 - x0) / s, ch / s);
+        g.clip();
+      }
+      g.drawImage(img, 0, 0);
+      g.restore();
+    };
+    if (mode !== 'result') drawSide(original, true);
+    if (mode !== 'original') drawSide(result, false);
+
+    if (overlay) {
+      const m = getMask?.();
+      if (m) {
+        const t = tinted(m);
+        g.globalAlpha = 0.4; g.drawImage(t, 0, 0); g.globalAlpha = 1;
+      }
+    }
+
+    g.setTransform(1, 0, 0, 1, 0, 0);
+    if (mode === 'split') { g.fillStyle = '#fff'; g.fillRect(Math.round(splitX) - dpr, 0, 2 * dpr, ch); }
+    zoomLbl.textContent = `${Math.round(s / dpr * 100)}%`;
+  }
+
+  let _tint = null, _tintSrc = null;
+  function tinted(m) {
+    if (_tintSrc !== m || !_tint) { _tint = document.createElement('canvas'); _tint.width = W; _tint.height = H; _tintSrc = m; }
+    const tg = _tint.getContext('2d');
+    tg.globalCompositeOperation = 'source-over'; tg.clearRect(0, 0, W, H); tg.drawImage(m, 0, 0);
+    tg.globalCompositeOperation = 'source-in'; tg.fillStyle = TINT; tg.fillRect(0, 0, W, H);
+    return _tint;
+  }
+
+  return {
+    el,
+    /** Swap in a new result (after a re-run); zoom and pan are kept. */
+    setResult(img) { result = img; render(); },
+    refresh: render,
+    destroy() { ro.disconnect(); el.remove(); },
+  };
+}
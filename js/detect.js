@@ -0,0 +1,190 @@
+// Offline text-region detection → inpainting mask.
+// Classical edge-density detector by default; an optional ONNX detector (DBNet-style probability map) if loaded.
+
+let detSession = null;
+let _logger = (m)=>console.log('[detect]', m);
+
+const ANALYSIS_MAX = 1024; // classical detector works on a downscaled copy (long side)
+const CELL = 8;            // grid cell (analysis px) for edge density
+
+// Normalized search regions: { x, y, w, h } as fractions of the image
+export const SEARCH_REGIONS = {
+  'full':        { x: 0,    y: 0,    w: 1,    h: 1    },
+  'upper-right': { x: 0.5,  y: 0,    w: 0.5,  h: 0.4  },
+  'upper-left':  { x: 0,    y: 0,    w: 0.5,  h: 0.4  },
+  'lower-right': { x: 0.5,  y: 0.6,  w: 0.5,  h: 0.4  },
+  'lower-left':  { x: 0,    y: 0.6,  w: 0.5,  h: 0.4  },
+  'top':         { x: 0,    y: 0,    w: 1,    h: 0.3  },
+  'bottom':      { x: 0,    y: 0.7,  w: 1,    h: 0.3  },
+};
+
+const DEFAULT_OPTS = { region: 'upper-right', minConfidence: 0.5, dilate: 6 };
+
+export function setLogger(fn) { if (typeof fn === 'function') _logger = fn; }
+export function hasDetectorModel() { return !!detSession; }
+
+export async function initDetectorFromBuffer(bufferUint8, executionProviders = ['wasm']) {
+  _logger(`creating detector session; EP=${JSON.stringify(executionProviders)}`);
+  detSession = await ort.InferenceSession.create(bufferUint8, {
+    executionProviders,
+    graphOptimizationLevel: 'all',
+  });
+  _logger(`detector inputs: ${JSON.stringify(detSession.inputNames)} outputs: ${JSON.stringify(detSession.outputNames)}`);
+}
+
+/**
+ * Find text-like regions in a bitmap.
+ * Returns { boxes: [{x, y, w, h, score}] in image px, mask: canvas (white = hole, dilated by opts.dilate) }.
+ */
+export async function detectTextRegions(bmp, opts = {}) {
+  const o = { ...DEFAULT_OPTS, ...opts };
+  const region = SEARCH_REGIONS[o.region] || SEARCH_REGIONS.full;
+  const W = bmp.width, H = bmp.height;
+  const rx = Math.round(region.x * W), ry = Math.round(region.y * H);
+  const rw = Math.max(1, Math.round(region.w * W)), rh = Math.max(1, Math.round(region.h * H));
+
+  const found = detSession
+    ? await detectWithModel(bmp, rx, ry, rw, rh)
+    : detectClassical(bmp, rx, ry, rw, rh);
+
+  const boxes = found.filter(b => b.score >= o.minConfidence);
+  return { boxes, mask: boxesToMask(W, H, boxes, o.dilate) };
+}
+
+/** Rasterize boxes into a mask canvas (white = hole), each grown by `dilate` px. */
+export function boxesToMask(W, H, boxes, dilate = 0) {
+  const c = document.createElement('canvas'); c.width = W; c.height = H;
+  const g = c.getContext('2d'); g.fillStyle = '#fff';
+  for (const b of boxes) {
+    const x = Math.max(0, Math.floor(b.x - dilate)), y = Math.max(0, Math.floor(b.y - dilate));
+    g.fillRect(x, y, Math.min(W, Math.ceil(b.x + b.w + dilate)) - x, Math.min(H, Math.ceil(b.y + b.h + dilate)) - y);
+  }
+  return c;
+}
+
+/* ---------- classical: edge density on a cell grid ---------- */
+function detectClassical(bmp, rx, ry, rw, rh) {
+  const s = Math.min(1, ANALYSIS_MAX / Math.max(rw, rh));
+  const aw = Math.max(3, Math.round(rw * s)), ah = Math.max(3, Math.round(rh * s));
+  const c = document.createElement('canvas'); c.width = aw; c.height = ah;
+  const g = c.getContext('2d'); g.drawImage(bmp, rx, ry, rw, rh, 0, 0, aw, ah);
+  const d = g.getImageData(0, 0, aw, ah).data;
+
+  const gray = new Float32Array(aw * ah);
+  for (let i = 0, p = 0; i < d.length; i += 4, p++) gray[p] = 0.299 * d[i] + 0.587 * d[i+1] + 0.114 * d[i+2];
+
+  // Sobel; keep strong edges and note their orientation (text has both horizontal and vertical strokes)
+  const gw = Math.ceil(aw / CELL), gh = Math.ceil(ah / CELL);
+  const edges = new Float32Array(gw * gh), horiz = new Float32Array(gw * gh), vert = new Float32Array(gw * gh);
+  const EDGE_T = 60;
+  for (let y = 1; y < ah - 1; y++) for (let x = 1; x < aw - 1; x++) {
+    const p = y * aw + x;
+    const gx = (gray[p-aw+1] + 2*gray[p+1] + gray[p+aw+1]) - (gray[p-aw-1] + 2*gray[p-1] + gray[p+aw-1]);
+    const gy = (gray[p+aw-1] + 2*gray[p+aw] + gray[p+aw+1]) - (gray[p-aw-1] + 2*gray[p-aw] + gray[p-aw+1]);
+    if (Math.abs(gx) + Math.abs(gy) < EDGE_T) continue;
+    const ci = ((y / CELL) | 0) * gw + ((x / CELL) | 0);
+    edges[ci]++;
+    if (Math.abs(gx) > Math.abs(gy)) vert[ci]++; else horiz[ci]++;
+  }
+
+  // Cell score: edge density, damped when one orientation dominates (fences, horizons, grass)
+  const cellArea = CELL * CELL;
+  const score = new Float32Array(gw * gh);
+  for (let i = 0; i < score.length; i++) {
+    if (!edges[i]) continue;
+    const density = Math.min(1, edges[i] / cellArea / 0.35);
+    const balance = Math.min(horiz[i], vert[i]) / Math.max(horiz[i], vert[i]);
+    score[i] = density * (0.5 + 0.5 * Math.min(1, balance * 2));
+  }
+
+  const on = new Uint8Array(gw * gh);
+  for (let i = 0; i < on.length; i++) on[i] = score[i] > 0.25 ? 1 : 0;
+  // join characters into words/lines: close small horizontal gaps
+  const joined = closeRows(on, gw, gh, 2);
+
+  const comps = components(joined, gw, gh, score);
+  const boxes = [];
+  for (const cc of comps) {
+    const bw = cc.x1 - cc.x0, bh = cc.y1 - cc.y0;
+    if (cc.n < 2 || bw * bh > 0.6 * gw * gh) continue;
+    const aspect = bw / bh;
+    const aspectScore = aspect >= 1.5 ? 1 : aspect >= 0.8 ? 0.7 : 0.4;   // text lines run wide
+    const fill = cc.n / (bw * bh);
+    const conf = clamp01(0.55 * Math.min(1, cc.mean / 0.6) + 0.25 * aspectScore + 0.2 * Math.min(1, fill / 0.6));
+    boxes.push({
+      x: rx + cc.x0 * CELL / s, y: ry + cc.y0 * CELL / s,
+      w: Math.min(rw, bw * CELL / s), h: Math.min(rh, bh * CELL / s),
+      score: conf,
+    });
+  }
+  return boxes;
+}
+
+/* ---------- ONNX: probability map (DBNet / PaddleOCR-style export) ---------- */
+async function detectWithModel(bmp, rx, ry, rw, rh) {
+  const inName = detSession.inputNames[0], outName = detSession.outputNames[0];
+  const dims = detSession.inputMetadata?.[inName]?.dimensions || [];
+  // static dims if the export has them, else long side 960 rounded to a multiple of 32
+  const s = Math.min(1, 960 / Math.max(rw, rh));
+  const th = Number.isFinite(dims[2]) ? dims[2] : Math.max(32, Math.round(rh * s / 32) * 32);
+  const tw = Number.isFinite(dims[3]) ? dims[3] : Math.max(32, Math.round(rw * s / 32) * 32);
+
+  const c = document.createElement('canvas'); c.width = tw; c.height = th;
+  const g = c.getContext('2d'); g.drawImage(bmp, rx, ry, rw, rh, 0, 0, tw, th);
+  const d = g.getImageData(0, 0, tw, th).data;
+
+  // ImageNet mean/std, NCHW
+  const mean = [0.485, 0.456, 0.406], std = [0.229, 0.224, 0.225], plane = tw * th;
+  const input = new Float32Array(3 * plane);
+  for (let i = 0, p = 0; i < d.length; i += 4, p++) for (let k = 0; k < 3; k++) input[k * plane + p] = (d[i + k] / 255 - mean[k]) / std[k];
+
+  const res = await detSession.run({ [inName]: new ort.Tensor('float32', input, [1, 3, th, tw]) });
+  const out = res[outName];
+  const oh = out.dims[out.dims.length - 2], ow = out.dims[out.dims.length - 1];
+  const prob = out.data;
+
+  const on = new Uint8Array(ow * oh);
+  for (let i = 0; i < on.length; i++) on[i] = prob[i] > 0.3 ? 1 : 0;
+  const sx = rw / ow, sy = rh / oh;
+  return components(on, ow, oh, prob)
+    .filter(cc => cc.n >= 4)
+    .map(cc => ({ x: rx + cc.x0 * sx, y: ry + cc.y0 * sy, w: (cc.x1 - cc.x0) * sx, h: (cc.y1 - cc.y0) * sy, score: clamp01(cc.mean) }));
+}
+
+/* ---------- helpers ---------- */
+const clamp01 = v => v<0?0:v>1?1:v;
+
+// Horizontal closing on a binary grid: fill runs of ≤gap zeros between ones
+function closeRows(m, W, H, gap) {
+  const out = m.slice();
+  for (let y = 0; y < H; y++) {
+    let last = -1;
+    for (let x = 0; x < W; x++) {
+      if (!m[y*W + x]) continue;
+      if (last >= 0 && x - last - 1 <= gap) for (let k = last + 1; k < x; k++) out[y*W + k] = 1;
+      last = x;
+    }
+  }
+  return out;
+}
+
+// 4-connected components; `weight` gives each component a mean score
+function components(m, W, H, weight) {
+  const seen = new Uint8Array(W * H), out = [], stack = [];
+  for (let i = 0; i < m.length; i++) {
+    if (!m[i] || seen[i]) continue;
+    let x0 = W, y0 = H, x1 = 0, y1 = 0, n = 0, sum = 0;
+    seen[i] = 1; stack.push(i);
+    while (stack.length) {
+      const p = stack.pop(), x = p % W, y = (p / W) | 0;
+      n++; sum += weight[p];
+      if (x < x0) x0 = x; if (x >= x1) x1 = x + 1; if (y < y0) y0 = y; if (y >= y1) y1 = y + 1;
+      if (x > 0     && m[p-1] && !seen[p-1]) { seen[p-1] = 1; stack.push(p-1); }
+      if (x < W - 1 && m[p+1] && !seen[p+1]) { seen[p+1] = 1; stack.push(p+1); }
+      if (y > 0     && m[p-W] && !seen[p-W]) { seen[p-W] = 1; stack.push(p-W); }
+      if (y < H - 1 && m[p+W] && !seen[p+W]) { seen[p+W] = 1; stack.push(p+W); }
+    }
+    out.push({ x0, y0, x1, y1, n, mean: sum / n });
+  }
+  return out;
+}
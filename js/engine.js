@@ -0,0 +1,104 @@
+// Main-thread handle on the inference worker (js/worker.js). Mirrors the js/lama.js API so the page can swap it in.
+let _worker = null;        // the app's worker: { call, terminate }
+let _logger = (m)=>console.log('[lama]', m);
+let _numThreads = Math.max(2, ((globalThis.navigator?.hardwareConcurrency) || 8) >> 1);
+
+export function setLogger(fn) { if (typeof fn === 'function') _logger = fn; }
+/** Threads for the WASM provider; only takes effect before the worker's first session. */
+export function setNumThreads(n) { if (Number.isFinite(n) && n > 0) _numThreads = n | 0; }
+export function getNumThreads() { return _numThreads; }
+
+/**
+ * Start an inference worker with its own config ({ numThreads, executionProviders }).
+ * Returns { call(cmd, args, transfer?, onProgress?) -> { id, promise }, ready, terminate() }; `ready` resolves to false
+ * (the reason logged) if the worker could not load onnxruntime.
+ * The app shares one (below); the benchmark spawns throwaway ones, since thread count is fixed per worker.
+ */
+export function spawnWorker(config) {
+  const w = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+  const pending = new Map(); // id -> { resolve, reject, onProgress }
+  let seq = 0;
+  const failAll = (err) => { for (const p of pending.values()) p.reject(err); pending.clear(); };
+  w.onmessage = (e) => {
+    const m = e.data;
+    if (m.type === 'log') { _logger(m.msg); return; }
+    const p = pending.get(m.id);
+    if (!p) return;
+    if (m.type === 'progress') { p.onProgress?.(m.stage, m.frac); return; }
+    pending.delete(m.id);
+    if (m.ok) p.resolve(m.result);
+    else p.reject(Object.assign(new Error(m.error.message), { name: m.error.name }));
+  };
+  w.onerror = (e) => {
+    _logger('worker error: ' + (e.message || e));
+    failAll(new Error('Inference worker crashed.'));
+  };
+  function call(cmd, args, transfer = [], onProgress) {
+    const id = ++seq;
+    const promise = new Promise((resolve, reject) => pending.set(id, { resolve, reject, onProgress }));
+    w.postMessage({ id, cmd, args }, transfer);
+    return { id, promise };
+  }
+  const ready = configure(call, config);
+  return { call, ready, terminate() { w.terminate(); failAll(new DOMException('Worker stopped.', 'AbortError')); } };
+}
+
+// Worker config never throws at the caller: a failed ORT fetch / evaluation is logged and reported as false
+function configure(call, config) {
+  return call('config', config).promise.then(() => true, (e) => {
+    if (e?.name !== 'AbortError') _logger('inference worker setup failed: ' + (e.message || e));
+    return false;
+  });
+}
+
+function worker() { return _worker ||= spawnWorker({ numThreads: _numThreads }); }
+const call = (...args) => worker().call(...args);
+
+/** Resolves to false (reason in the log) if the worker couldn't load the runtime for `list`. */
+export async function setExecutionProviders(list) {
+  if (!Array.isArray(list) || !list.length) return true;
+  return configure(call, { executionProviders: list });
+}
+export function setAssumeBGR(v) { call('setAssumeBGR', { value: !!v }); }
+
+/**
+ * Create a LaMa session in the worker under `id` and make it active. The buffer is transferred (unusable afterwards).
+ * Resolves to the model's { id, io, target, assumeBGR, compat, providers }.
+ */
+export function initLamaFromBuffer(bufferUint8, { id, settings } = {}) {
+  return call('init', { bytes: bufferUint8, id, settings }, [bufferUint8.buffer]).promise;
+}
+
+/** Switch to a model already loaded in the worker. */
+export function useModel(id, settings) { return call('use', { id, settings }).promise; }
+export function releaseModel(id) { return call('release', { id }).promise; }
+/** Re-run the compatibility probe on the active model; resolves to its updated info. */
+export function probeModel() { return call('probe').promise; }
+
+/**
+ * Reference-logo search (js/logomatch.js findLogo) in the worker, off the page's thread. `source` is any drawable
+ * (a copy is sent; it stays usable), `template` from prepareTemplate(). Resolves to findLogo's matches.
+ */
+export async function matchLogo(source, template, opts = {}) {
+  const bmp = await createImageBitmap(source);
+  return call('findLogo', { source: bmp, template, opts }, [bmp]).promise;
+}
+
+/**
+ * Inpaint one image in the worker. `source` is a Blob/File (decoded in the worker) or an ImageBitmap (transferred).
+ * `mask` is a canvas/bitmap at the image size. `opts` as js/lama.js, plus:
+ *   onProgress(stage, frac) — 'decode' | 'preprocess' | 'inference' | 'postprocess' | 'done', overall [0,1]
+ *   signal (AbortSignal)    — abort to cancel; rejects with an AbortError at the next stage boundary.
+ * Resolves to { bitmap, timings, windows, provider }.
+ */
+export async function inpaintUpperRightOne(source, mask, opts = {}) {
+  const { onProgress, signal, ...rest } = opts;
+  signal?.throwIfAborted();
+  const maskBmp = mask ? await createImageBitmap(mask) : null;
+  const transfer = [maskBmp, source instanceof ImageBitmap ? source : null].filter(Boolean);
+  const { id, promise } = call('inpaint', { source, mask: maskBmp, opts: rest }, transfer, onProgress);
+  const onAbort = () => call('cancel', { id });
+  signal?.addEventListener('abort', onAbort, { once: true });
+  try { return await promise; }
+  finally { signal?.removeEventListener('abort', onAbort); }
+}
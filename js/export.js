@@ -0,0 +1,126 @@
+// Result export: encode as PNG / JPEG / WebP / same-as-input with optional metadata copy,
+// and "Download all" as one in-browser ZIP (results + masks + manifest.json), streamed to disk where supported.
+import { createZipWriter } from './zip.js';
+import { readMetadata, writeMetadata } from './metadata.js';
+
+const TYPES = { png: 'image/png', jpeg: 'image/jpeg', webp: 'image/webp' };
+const EXT   = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp' };
+
+/** { format: 'png'|'jpeg'|'webp'|'same', quality: 0..1, keepMetadata: bool } */
+export function resolveType(format, file) {
+  if (format === 'same') return EXT[file?.type] ? file.type : 'image/png';
+  return TYPES[format] || 'image/png';
+}
+
+export function outputName(sourceName, type) {
+  return sourceName.replace(/\.[^.]+$/, '') + '.clean.' + EXT[type];
+}
+
+/** Encode a result canvas for `file` per `opts`. Resolves to { blob, name, type, sourceMeta }. */
+export async function encodeResult(canvas, file, opts) {
+  const type = resolveType(opts.format, file);
+  let blob = await new Promise((res, rej) => canvas.toBlob(b => b ? res(b) : rej(new Error(`Browser cannot encode ${type}.`)), type, opts.quality));
+  let sourceMeta = null;
+  if (opts.keepMetadata && file) {
+    sourceMeta = await readMetadata(file);
+    // the browser decoded the source into sRGB, so its ICC profile must not be copied onto these pixels
+    blob = await writeMetadata(blob, blob.type || type, sourceMeta, { width: canvas.width, height: canvas.height, srgb: true });
+  }
+  return { blob, name: outputName(file?.name || 'image', blob.type || type), type: blob.type || type, sourceMeta };
+}
+
+export async function downloadResult(canvas, file, opts) {
+  const { blob, name } = await encodeResult(canvas, file, opts);
+  saveBlob(blob, name);
+}
+
+/**
+ * Write every item into a ZIP. Items: { file, name, canvas?, output?: { blob, name }, status, error?, timings?, windows?, mask?: canvas, maskSource? }.
+ * `output` is an already encoded result (a cleaned video) and is stored as is. An item may instead carry
+ * load() → Promise of { file, canvas?, output?, mask? }, called as it is zipped so only one result is in memory at a time.
+ * Items without a canvas or output (failed / skipped) appear only in manifest.json; results or masks that
+ * fail to encode are left out and listed under its `failures`.
+ * Call straight from a click handler: the save dialog needs the user gesture.
+ */
+export async function exportZip(items, opts, onProgress) {
+  const zipName = `cleaned-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}.zip`;
+  const out = await openSink(zipName);
+  if (!out) return false; // user dismissed the save dialog
+  const zip = createZipWriter(out.write);
+  const used = new Set();
+  const unique = (n) => { let name = n, k = 1; while (used.has(name)) name = n.replace(/(\.[^.]+)$/, `-${k++}$1`); used.add(name); return name; };
+
+  const manifest = {
+    generator: 'image-stripper',
+    createdAt: new Date().toISOString(),
+    format: opts.format, quality: opts.quality, keepMetadata: !!opts.keepMetadata,
+    files: [],
+    failures: [], // { source, part: 'mask'|'output', error } for anything that could not be written
+  };
+  try {
+    for (let i = 0; i < items.length; i++) {
+      const it = { ...items[i], ...(await items[i].load?.()) };
+      onProgress?.(i, items.length);
+      const entry = { source: it.name, status: it.status || 'pending', output: null, mask: null, timings: it.timings || null, windows: it.windows ?? null };
+      if (it.error) entry.error = it.error;
+      if (it.mask) {
+        const maskBlob = await new Promise(r => it.mask.toBlob(r, 'image/png'));
+        if (maskBlob) {
+          const maskName = unique(`masks/${it.name.replace(/\.[^.]+$/, '')}.mask.png`);
+          await zip.add(maskName, maskBlob);
+          entry.mask = { file: maskName, source: it.maskSource || 'default' };
+        } else {
+          manifest.failures.push({ source: it.name, part: 'mask', error: 'Browser could not encode the mask as PNG.' });
+        }
+      }
+      if (it.output) {
+        entry.output = unique(it.output.name);
+        await zip.add(entry.output, it.output.blob);
+      } else if (it.canvas) {
+        try {
+          const { blob, name, sourceMeta } = await encodeResult(it.canvas, it.file, opts);
+          entry.output = unique(name);
+          entry.width = it.canvas.width; entry.height = it.canvas.height;
+          if (sourceMeta) entry.sourceMetadata = { orientation: sourceMeta.orientation, dates: sourceMeta.dates, icc: !!sourceMeta.icc };
+          await zip.add(entry.output, blob);
+        } catch (e) {
+          entry.status = 'export-error'; entry.error = e.message || String(e);
+          manifest.failures.push({ source: it.name, part: 'output', error: entry.error });
+        }
+      }
+      manifest.files.push(entry);
+    }
+    await zip.add('manifest.json', JSON.stringify(manifest, null, 2));
+    await zip.finish();
+    await out.close();
+  } catch (e) {
+    await out.abort?.(e);
+    throw e;
+  }
+  onProgress?.(items.length, items.length);
+  return true;
+}
+
+// File System Access stream when available (nothing buffered), else Blob parts handed to a download link
+async function openSink(name) {
+  if (typeof showSaveFilePicker === 'function') {
+    let handle;
+    try { handle = await showSaveFilePicker({ suggestedName: name, types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }] }); }
+    catch (e) { if (e?.name === 'AbortError') return null; throw e; }
+    const w = await handle.createWritable();
+    return { write: (chunk) => w.write(chunk), close: () => w.close(), abort: (e) => w.abort(e) };
+  }
+  const parts = [];
+  return {
+    write: (chunk) => { parts.push(chunk); },
+    close: () => saveBlob(new Blob(parts, { type: 'application/zip' }), name),
+  };
+}
+
+export function saveBlob(blob, name) {
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 500);
+}
@@ -0,0 +1,42 @@
+// Minimal promise wrapper around the app's IndexedDB database.
+// Add stores to STORES and bump DB_VERSION; missing stores are created on upgrade.
+const DB_NAME = 'image-stripper';
+const DB_VERSION = 2;
+const STORES = {
+  models:     { keyPath: 'id' }, // model metadata: name, size, detected I/O, settings
+  modelBytes: { keyPath: 'id' }, // { id, blob } kept apart so listing models never loads 200MB
+  jobs:       { keyPath: 'id' }, // queue entries: name, kind, status, error, mask source, timings (js/jobstore.js)
+  jobInputs:  { keyPath: 'id' }, // { id, file, mask } source file and saved mask, apart like modelBytes
+  jobOutputs: { keyPath: 'id' }, // { id, blob, name } cleaned result
+};
+
+let _db = null;
+
+export function openDB() {
+  if (_db) return _db;
+  _db = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      for (const [name, opts] of Object.entries(STORES)) if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, opts);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => { _db = null; reject(req.error); };
+  });
+  return _db;
+}
+
+async function run(store, mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode);
+    const req = fn(tx.objectStore(store));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = tx.onabort = () => reject(tx.error);
+  });
+}
+
+export const idbGet    = (store, key) => run(store, 'readonly',  s => s.get(key));
+export const idbGetAll = (store)      => run(store, 'readonly',  s => s.getAll());
+export const idbPut    = (store, val) => run(store, 'readwrite', s => s.put(val));
+export const idbDelete = (store, key) => run(store, 'readwrite', s => s.delete(key));
@@ -0,0 +1,57 @@
+// Persistent job queue: every queued image or video is a job in IndexedDB along with its source file, its mask once
+// that is more than a plain profile, and its cleaned output, so a reload picks up where the last visit stopped.
+import { idbGet, idbGetAll, idbPut, idbDelete } from './idb.js';
+
+/**
+ * Queue files: [{ file, path, kind: 'image' | 'video' }], path being the name shown and exported (folder-relative for
+ * dropped folders). Returns the new jobs' metadata: { id, name, kind, size, order, status, maskSource, edited, ... }.
+ */
+export async function addJobs(entries) {
+  const now = Date.now(), jobs = [];
+  for (let i = 0; i < entries.length; i++) {
+    const { file, path, kind } = entries[i];
+    const job = { id: crypto.randomUUID(), name: path || file.name, kind, size: file.size, order: now + i, status: 'pending', maskSource: null, edited: false };
+    await idbPut('jobInputs', { id: job.id, file, mask: null });
+    await idbPut('jobs', job);
+    jobs.push(job);
+  }
+  navigator.storage?.persist?.(); // a big batch is worth keeping until it's done
+  return jobs;
+}
+
+/** All jobs in queue order. Jobs a closed tab left 'running' come back as 'pending'. */
+export async function listJobs() {
+  const all = await idbGetAll('jobs');
+  for (const job of all) if (job.status === 'running') { job.status = 'pending'; await idbPut('jobs', job); }
+  return all.sort((a, b) => a.order - b.order);
+}
+
+export async function updateJob(id, patch) {
+  const job = await idbGet('jobs', id);
+  if (!job) return null; // removed meanwhile
+  const next = { ...job, ...patch, id };
+  await idbPut('jobs', next);
+  return next;
+}
+
+/** { file, mask: Blob (PNG) | null }; mask is null while the job's profile reproduces it. */
+export async function loadJobInput(id) {
+  const rec = await idbGet('jobInputs', id);
+  if (!rec) throw new Error('Source file missing from the queue.');
+  return rec;
+}
+
+export async function saveJobMask(id, mask) {
+  const rec = await idbGet('jobInputs', id);
+  if (rec) await idbPut('jobInputs', { ...rec, mask });
+}
+
+/** { blob, name } of a finished job, or undefined. */
+export const loadJobOutput = (id) => idbGet('jobOutputs', id);
+export const saveJobOutput = (id, { blob, name }) => idbPut('jobOutputs', { id, blob, name });
+
+export async function deleteJob(id) {
+  await idbDelete('jobOutputs', id);
+  await idbDelete('jobInputs', id);
+  await idbDelete('jobs', id);
+}
@@ -1,29 +1,119 @@
-// LaMa inpainting via onnxruntime-web with robust I/O detection and correct normalization.
+// LaMa inpainting via onnxruntime (web in the browser, node in the CLI) with robust I/O detection and correct normalization.
+// Pre/post-processing runs on plain pixel buffers (js/pixels.js); canvases only appear in the browser adapter below.
+import { cropImage, letterbox, letterboxMask, unletterbox, packNCHW, unpackNCHW, maskToBinary, upperRightMask, dilate, bboxOf, featherWeights, planWindows, cropMask, compositeWindow, clamp01 } from './pixels.js';
+import { imageFromDrawable, imageToCanvas } from './canvasio.js';
 
-let session = null;
-let _executionProviders = ['wasm']; // stability default; you can switch to ['webgpu','wasm']
+let session = null;       // active model's session
+let _executionProviders = ['wasm']; // preference order; a provider that fails is dropped and the next one tried
 let _logger = (m)=>console.log('[lama]', m);
+let _sessionOptions = {};  // extra InferenceSession options (e.g. intraOpNumThreads for onnxruntime-node)
 
-// Detected / configured characteristics
+// Detected / configured characteristics (of the active model)
 let _io = { image: 'image', mask: 'mask', output: null };
 let _target = 512;        // set from model if static [1,3,H,W]
 let _assumeBGR = false;   // set true if your export expects BGR input instead of RGB
+let _compat = defaultCompat(); // value ranges / channel swap / spatial constraints, set by probeModel()
+
+// Value ranges a LaMa export may use: enc maps [0,1] into the range, dec maps back
+const RANGES = {
+  '[-1,1]':  { enc: v => v*2 - 1, dec: v => (v + 1) * 0.5 },
+  '[0,1]':   { enc: v => v,       dec: v => v },
+  '[0,255]': { enc: v => v * 255, dec: v => v / 255 },
+};
+function defaultCompat() { return { input: '[-1,1]', output: '[-1,1]', swapOut: false, dynamic: false, h: null, w: null, multiple: 1, square: true }; }
+
+// Loaded models: id -> { session, io, target, assumeBGR, compat }; the module-level values above mirror the active one
+const _models = new Map();
+let _activeId = null;
 
 export function setExecutionProviders(list) {
   if (Array.isArray(list) && list.length) _executionProviders = list;
 }
 export function setLogger(fn) { if (typeof fn === 'function') _logger = fn; }
-export function setAssumeBGR(v) { _assumeBGR = !!v; }
-
-export async function initLamaFromBuffer(bufferUint8, executionProviders = _executionProviders) {
-  const ep = pickEP(executionProviders);
-  _logger(`creating session; requested EP=${JSON.stringify(ep)}`);
-  session = await ort.InferenceSession.create(bufferUint8, {
-    executionProviders: ep,
-    graphOptimizationLevel: 'all',
-  });
-  session._modelBytes = bufferUint8; // keep for potential rebuild
+export function setSessionOptions(o) { _sessionOptions = { ...o }; }
+export function setAssumeBGR(v) { _assumeBGR = !!v; const m = _models.get(_activeId); if (m) m.assumeBGR = _assumeBGR; }
+
+/**
+ * Create a session for `id` and make it active. Other loaded models stay available to useModel().
+ * `settings` ({ io, target, assumeBGR, compat }, as remembered by the model library) override what inspectModel() detects;
+ * without a remembered `compat` the caller should run probeModel().
+ * Returns the active model's { id, io, target, assumeBGR, compat }.
+ */
+export async function initLamaFromBuffer(bufferUint8, executionProviders = _executionProviders, { id = 'default', settings } = {}) {
+  const s = await createSession(bufferUint8, executionProviders);
+
+  _models.get(id)?.session.release?.();
+  session = s;
+  _io = { image: 'image', mask: 'mask', output: null };
+  _target = 512;
+  _assumeBGR = !!settings?.assumeBGR;
+  _compat = defaultCompat();
   inspectModel();
+  applySettings(settings);
+
+  _models.set(id, { session, io: _io, target: _target, assumeBGR: _assumeBGR, compat: _compat });
+  _activeId = id;
+  return getModelInfo();
+}
+
+/** Switch the active model to an already loaded one. */
+export function useModel(id, settings) {
+  const m = _models.get(id);
+  if (!m) throw new Error(`Model ${id} is not loaded.`);
+  _activeId = id;
+  ({ session, io: _io, target: _target, assumeBGR: _assumeBGR, compat: _compat } = m);
+  if (settings?.assumeBGR != null) setAssumeBGR(settings.assumeBGR);
+  return getModelInfo();
+}
+
+/** Free a loaded model's session. */
+export function releaseModel(id) {
+  const m = _models.get(id);
+  if (!m) return;
+  m.session.release?.();
+  _models.delete(id);
+  if (_activeId === id) { _activeId = null; session = null; }
+}
+
+export function getModelInfo() {
+  return _activeId == null ? null : { id: _activeId, io: { ..._io }, target: _target, assumeBGR: _assumeBGR, compat: { ..._compat }, providers: [...session._eps] };
+}
+
+// Remembered I/O is only trusted if the names still exist in this session
+function applySettings(settings) {
+  if (!settings) return;
+  const names = new Set([...(session.inputNames || []), ...(session.outputNames || [])]);
+  const io = settings.io;
+  if (io && names.has(io.image) && names.has(io.mask) && (!io.output || names.has(io.output))) _io = { ...io };
+  if (Number.isFinite(settings.target) && settings.target > 0) _target = settings.target;
+  if (settings.compat && RANGES[settings.compat.input] && RANGES[settings.compat.output]) _compat = { ...defaultCompat(), ...settings.compat };
+  _logger(`settings applied -> image="${_io.image}" mask="${_io.mask}" out="${_io.output}" target=${_target} bgr=${_assumeBGR}`);
+}
+
+// Create a session on the first requested provider that works, falling back down the list.
+// The bytes stay on the session so it can be rebuilt on other providers later.
+async function createSession(bytes, req) {
+  const want = pickEP(req);
+  for (let ep = want; ; ep = ep.slice(1)) {
+    _logger(`creating session; EP=${JSON.stringify(ep)}`);
+    try {
+      const s = await ort.InferenceSession.create(bytes, { ..._sessionOptions, executionProviders: ep, graphOptimizationLevel: 'all' });
+      return Object.assign(s, { _modelBytes: bytes, _eps: ep, _want: want.join(), _ort: ort });
+    } catch (e) {
+      if (ep.length < 2) throw e;
+      _logger(`session on ${ep[0]} failed (${e.message || e}); falling back to ${ep[1]}`);
+    }
+  }
+}
+
+// Make the active session match the requested providers (and the current ort build), rebuilding it if needed
+async function ensureProviders(req) {
+  if (session._ort === ort && session._want === pickEP(req).join()) return;
+  const s = await createSession(session._modelBytes, req);
+  session.release?.();
+  session = s;
+  const m = _models.get(_activeId);
+  if (m) m.session = s;
 }
 
 function pickEP(req) {
@@ -43,6 +133,10 @@ function pickEP(req) {
       out.push('wasm');
       continue;
     }
+    if (p === 'cpu') {
+      out.push('cpu'); // onnxruntime-node
+      continue;
+    }
   }
   return out.length ? out : ['wasm'];
 }
@@ -66,6 +160,7 @@ function inspectModel(){
   // pick target size if static [N,C,H,W]
   const dims = md[_io.image]?.dimensions || [];
   if (Number.isFinite(dims[2]) && dims[2] === dims[3]) _target = dims[2];
+  if (Number.isFinite(dims[2]) && Number.isFinite(dims[3])) Object.assign(_compat, { h: dims[2], w: dims[3], square: dims[2] === dims[3] });
 
   _logger(`I/O chosen -> image="${_io.image}" mask="${_io.mask}" out="${_io.output}" target=${_target}`);
 }
@@ -73,81 +168,253 @@ function inspectModel(){
 // Tune if your corner text area differs
 const UPPER_RIGHT_FRACTION = { w: 0.28, h: 0.24 };
 
-/** Process a single bitmap and return { canvas, timings: {pre, infer, post} } */
-export async function inpaintUpperRightOne(bmp) {
+// Native-resolution path: the model sees target-sized crops at 1:1 around the mask,
+// and only masked pixels are written back into the untouched original.
+const DEFAULT_OPTS = { mode: 'crop', dilate: 6, feather: 4, context: 96 };
+
+/**
+ * Process a single bitmap and return { canvas, timings: {pre, infer, post}, windows, provider }: the canvas adapter over inpaintImage().
+ * `mask` (canvas or bitmap at the bitmap's size; light opaque pixels = hole, see maskToBinary) defaults to the upper-right box.
+ */
+export async function inpaintUpperRightOne(bmp, mask, opts = {}) {
+  if (mask && (mask.width !== bmp.width || mask.height !== bmp.height)) throw new Error('Mask size does not match the image.');
+  const { image, ...rest } = await inpaintImage(imageFromDrawable(bmp), mask ? imageFromDrawable(mask) : null, opts);
+  return { canvas: imageToCanvas(image), ...rest };
+}
+
+/**
+ * Process one RGBA pixel buffer ({ data, width, height }, see js/pixels.js) and return { image, timings: {pre, infer, post}, windows, provider }.
+ * `mask` is an RGBA buffer at the image's size (light opaque pixels = hole) or a Uint8Array (1 = hole); defaults to the upper-right box.
+ * `opts.mode`: 'crop' (native-res windows around the mask, default) or 'letterbox' (whole image squeezed to _target).
+ * `opts.dilate` / `opts.feather` (px) shape the seam; `opts.context` (px) is the minimum context kept around each window's core.
+ * `opts.onProgress(stage, frac)` reports 'preprocess' | 'inference' | 'postprocess' with overall progress in [0,1];
+ * `opts.signal` (AbortSignal) is checked between stages and windows.
+ * `opts.executionProviders` overrides the provider list for this image (e.g. ['webgpu', 'wasm']).
+ * If the session fails on its first provider, it is rebuilt on the next one and the image retried;
+ * without an override that fallback sticks for later images. The provider used is returned as `provider`.
+ */
+export async function inpaintImage(img, mask, opts = {}) {
   if (!session) throw new Error('Model not initialized. Pick the .onnx first.');
+  if (mask && !(mask instanceof Uint8Array) && (mask.width !== img.width || mask.height !== img.height)) throw new Error('Mask size does not match the image.');
+  if (mask instanceof Uint8Array && mask.length !== img.width * img.height) throw new Error('Mask size does not match the image.');
+  const o = { ...DEFAULT_OPTS, ...opts };
+  for (let req = pickEP(o.executionProviders || _executionProviders); ; ) {
+    await ensureProviders(req);
+    try {
+      return { ...await inpaintOnce(img, mask, o), provider: session._eps[0] };
+    } catch (e) {
+      if (e?.name === 'AbortError' || session._eps.length < 2) throw e;
+      req = session._eps.slice(1);
+      _logger(`inference on ${session._eps[0]} failed (${e.message || e}); retrying on ${req[0]}`);
+      if (!o.executionProviders) _executionProviders = req;
+    }
+  }
+}
+
+async function inpaintOnce(img, mask, o) {
+  const timings = { pre: 0, infer: 0, post: 0 };
+  const report = (stage, frac) => { o.signal?.throwIfAborted(); o.onProgress?.(stage, frac); };
+
+  report('preprocess', 0);
   const t0 = performance.now();
+  const W = img.width, H = img.height;
+  const holes = !mask ? upperRightMask(W, H, UPPER_RIGHT_FRACTION) : mask instanceof Uint8Array ? mask : maskToBinary(mask);
+  timings.pre += performance.now() - t0;
 
-  const srcCanvas  = drawBitmapToCanvas(bmp);
-  const maskCanvas = buildUpperRightMask(srcCanvas, UPPER_RIGHT_FRACTION);
-
-  // Preprocess to _target×_target
-  const target = _target;
-  const { prep, invMap }   = letterbox(srcCanvas, target, target);
-  const { prep: prepMask } = letterbox(maskCanvas, target, target);
-
-  const imgData = prep.getContext('2d').getImageData(0, 0, target, target).data;
-  const mData   = prepMask.getContext('2d').getImageData(0, 0, target, target).data;
-
-  const imgTensor  = new ort.Tensor('float32', new Float32Array(1*3*target*target), [1,3,target,target]);
-  const maskTensor = new ort.Tensor('float32', new Float32Array(1*1*target*target), [1,1,target,target]);
-
-  // NHWC -> NCHW, normalize to [-1,1]; optional BGR swap
-  for (let i=0, px=0; i<imgData.length; i+=4, px++){
-    let r = imgData[i] / 255, g = imgData[i+1] / 255, b = imgData[i+2] / 255;
-    if (_assumeBGR) { const t = r; r = b; b = t; }  // swap to BGR if needed
-    r = r*2 - 1; g = g*2 - 1; b = b*2 - 1;          // [-1,1]
-    const y = Math.floor(px/target), x = px % target, o = y*target + x;
-    imgTensor.data[0*target*target + o] = r;
-    imgTensor.data[1*target*target + o] = g;
-    imgTensor.data[2*target*target + o] = b;
+  if (o.mode === 'letterbox') {
+    report('inference', 0.1);
+    const image = await runModel(img, holes, timings);
+    report('postprocess', 0.95);
+    return { image, timings, windows: 1 };
   }
-  // Mask: 1 = hole (fill), 0 = keep
-  for (let i=0, px=0; i<mData.length; i+=4, px++){
-    const v = (mData[i] | mData[i+1] | mData[i+2] | mData[i+3]) ? 1.0 : 0.0;
-    const y = Math.floor(px/target), x = px % target, o = y*target + x;
-    maskTensor.data[o] = v;
+  return inpaintCropped(img, holes, o, timings, report);
+}
+
+async function inpaintCropped(src, mask, o, timings, report) {
+  let t = performance.now();
+  const W = src.width, H = src.height;
+  const holes = dilate(mask, W, H, Math.max(0, o.dilate | 0));
+  const box   = bboxOf(holes, W, H);
+  if (!box) { timings.pre += performance.now() - t; return { image: src, timings, windows: 0 }; }
+
+  const weights = featherWeights(holes, W, H, Math.max(0, +o.feather || 0), box);
+  const out     = { data: new Uint8ClampedArray(src.data), width: W, height: H };
+  const wins    = planWindows(holes, box, W, H, ...modelDims(_target, _target), Math.max(0, o.context | 0));
+  timings.pre += performance.now() - t;
+
+  for (let wi = 0; wi < wins.length; wi++) {
+    const win = wins[wi];
+    report('inference', 0.1 + 0.85 * wi / wins.length);
+    t = performance.now();
+    // crop from the running output so later windows see earlier fills as context
+    const crop = cropImage(out, win.x, win.y, win.w, win.h);
+    const cropHoles = cropMask(holes, W, win);
+    timings.pre += performance.now() - t;
+
+    const res = await runModel(crop, cropHoles, timings);
+
+    t = performance.now();
+    compositeWindow(out, src, res, win, weights);
+    timings.post += performance.now() - t;
   }
 
-  // Debug minima/maxima
-  // _logger(`img min/max: ${minmax(imgTensor.data)} mask sum: ${sum(maskTensor.data)}`);
+  report('postprocess', 0.95);
+  return { image: out, timings, windows: wins.length };
+}
+
+/** Letterbox image + binary mask to the model's input size, run LaMa, and map the result back to the image size. Adds to `timings`. */
+async function runModel(img, holes, timings) {
+  const t0 = performance.now();
+
+  // Preprocess to the model's input size (see modelDims)
+  const [TW, TH] = modelDims(img.width, img.height);
+  const { image: prep, map } = letterbox(img, TW, TH);
+  const feeds = packFeeds(prep, letterboxMask(holes, map));
 
   const tPre = performance.now();
+  const out = await runFeeds(feeds); // [1,3,H,W], range per _compat.output
+  const tInfer = performance.now();
+
+  // Postprocess (decode output range) and map back to original aspect
+  const res = unletterbox(unpackNCHW(out.data, TW, TH, { dec: RANGES[_compat.output].dec, swap: _compat.swapOut }), map);
+  const tPost = performance.now();
+
+  timings.pre   += tPre  - t0;
+  timings.infer += tInfer - tPre;
+  timings.post  += tPost - tInfer;
+  return res;
+}
 
-  // Run with detected names
+// RGBA image + binary mask -> feeds for the detected input names, normalized to the model's input range (optionally BGR)
+function packFeeds(img, holes, inRange = _compat.input) {
+  const W = img.width, H = img.height;
+  const { image, mask } = packNCHW(img, holes, { enc: RANGES[inRange].enc, bgr: _assumeBGR });
   const feeds = {};
-  feeds[_io.image] = imgTensor;
-  feeds[_io.mask]  = maskTensor;
+  feeds[_io.image] = new ort.Tensor('float32', image, [1,3,H,W]);
+  feeds[_io.mask]  = new ort.Tensor('float32', mask, [1,1,H,W]); // 1 = hole (fill), 0 = keep
+  return feeds;
+}
 
+async function runFeeds(feeds) {
   const results = await session.run(feeds);
-  const tInfer = performance.now();
-
   const outName = _io.output || (session.outputNames ? session.outputNames[0] : Object.keys(results)[0]);
-  const out = results[outName]; // [1,3,H,W] often in [-1,1]
+  return results[outName];
+}
 
-  // Postprocess ([-1,1] -> [0,1]) and map back to original aspect
-  const outSquare = nchwToCanvas(out.data, target, target);
-  const outCanvas = invMap(outSquare);
-  const tPost = performance.now();
+// Model input size [W, H] for a sw×sh source: static dims as exported; dynamic ones fit _target,
+// rounded up to the model's multiple, and keep the source aspect when non-square inputs work.
+function modelDims(sw, sh) {
+  if (!_compat.dynamic) return [_compat.w || _target, _compat.h || _target];
+  if (_compat.square) return [_target, _target];
+  const s = Math.min(1, _target / Math.max(sw, sh)), m = _compat.multiple || 1;
+  return [Math.max(m, Math.ceil(sw*s/m)*m), Math.max(m, Math.ceil(sh*s/m)*m)];
+}
+
+/* ---------- compatibility probe ---------- */
+const PROBE_A = [200, 70, 40], PROBE_B = [40, 110, 210]; // left / right half colours; R≠B exposes channel swaps
+const PROBE_DYN = 256;
+
+/**
+ * Self-test for the active model: runs synthetic images to find the input/output value ranges,
+ * whether output channels come back swapped, and which spatial sizes the export accepts.
+ * RGB vs BGR input can't be told apart this way (see the report); that stays the per-model BGR flag.
+ * Configures the pipeline and logs a readable report. Returns the resulting compat settings.
+ */
+export async function probeModel() {
+  if (!session) throw new Error('Model not initialized. Pick the .onnx first.');
+  await ensureProviders(_executionProviders);
+  const c = { ..._compat };
+  const lines = ['compatibility report:'];
 
-  return {
-    canvas: outCanvas,
-    timings: {
-      pre:   tPre  - t0,
-      infer: tInfer - tPre,
-      post:  tPost - tInfer,
+  // 1) spatial dims
+  const dims = session.inputMetadata?.[_io.image]?.dimensions || [];
+  if (Number.isFinite(dims[2]) && Number.isFinite(dims[3])) {
+    Object.assign(c, { dynamic: false, h: dims[2], w: dims[3], square: dims[2] === dims[3], multiple: 1 });
+    lines.push(`  spatial dims : static ${dims[3]}×${dims[2]}${c.square ? '' : ' (non-square)'}`);
+  } else {
+    const accepts = async (w, h) => { try { await runFeeds(packFeeds(...probeImage(w, h), '[-1,1]')); return true; } catch { return false; } };
+    if (await accepts(PROBE_DYN, PROBE_DYN)) {
+      c.dynamic = true; c.h = c.w = null;
+      c.multiple = await accepts(251, 251) ? 1 : await accepts(252, 252) ? 4 : await accepts(264, 264) ? 8 : await accepts(272, 272) ? 16 : 32;
+      c.square = !(await accepts(PROBE_DYN, PROBE_DYN + 128));
+      lines.push(`  spatial dims : dynamic, ${c.multiple > 1 ? `multiple of ${c.multiple}` : 'any size'}, ${c.square ? 'square only' : 'non-square OK'}`);
+    } else {
+      lines.push(`  spatial dims : symbolic, but a ${PROBE_DYN}×${PROBE_DYN} run failed; keeping ${_target}×${_target}`);
+      Object.assign(c, { dynamic: false, h: _target, w: _target, square: true });
     }
-  };
+  }
+
+  // 2) value ranges and channel order: unmasked pixels should pass through, the hole should fill with its surroundings
+  const pw = c.dynamic ? PROBE_DYN : c.w, ph = c.dynamic ? PROBE_DYN : c.h;
+  const [img, msk] = probeImage(pw, ph);
+  const regions = probeRegions(pw, ph);
+  const fits = [];
+  for (const inRange of Object.keys(RANGES)) {
+    let out;
+    try { out = (await runFeeds(packFeeds(img, msk, inRange))).data; }
+    catch (e) { lines.push(`  input ${inRange.padEnd(8)}: run failed (${e.message || e})`); continue; }
+    let best = null;
+    for (const outRange of Object.keys(RANGES)) for (const swap of [false, true]) {
+      const dec = (ch, i) => clamp01(RANGES[outRange].dec(out[(swap ? 2 - ch : ch) * pw * ph + i])) * 255;
+      const pass = (meanErr(dec, regions.a, PROBE_A) + meanErr(dec, regions.b, PROBE_B)) / 2;
+      const fill = meanErr(dec, regions.hole, PROBE_A);
+      if (!best || pass + fill < best.pass + best.fill) best = { inRange, outRange, swap, pass, fill };
+    }
+    fits.push(best);
+  }
+  fits.sort((x, y) => (x.pass + x.fill) - (y.pass + y.fill));
+  for (const f of fits) lines.push(`  input ${f.inRange.padEnd(8)}: best output ${f.outRange}${f.swap ? ' swapped' : ''}, pass-through err ${f.pass.toFixed(1)}, fill err ${f.fill.toFixed(1)}`);
+
+  const best = fits[0];
+  if (best && best.pass < 25) {
+    Object.assign(c, { input: best.inRange, output: best.outRange, swapOut: best.swap });
+    if (fits[1] && Math.abs((fits[1].pass + fits[1].fill) - (best.pass + best.fill)) < 2) lines.push('  note         : input range is ambiguous (model passes any range through); picked the best fill');
+  } else {
+    lines.push('  note         : no range reproduced the probe image; keeping the current settings');
+  }
+  lines.push(`  input range  : ${c.input}`);
+  lines.push(`  output range : ${c.output}`);
+  lines.push(`  channels     : ${c.swapOut ? 'output comes back BGR↔RGB swapped (corrected)' : 'output order matches input'}`);
+  // the fill is made from the surrounding colours channel by channel, so either input order reproduces the probe
+  lines.push(`  input order  : NOT PROBED, set by hand: ${_assumeBGR ? 'BGR' : 'RGB'} (tick BGR in the library if filled areas come out colour-shifted)`);
+
+  _compat = c;
+  const m = _models.get(_activeId); if (m) m.compat = c;
+  lines.push(`  pipeline     : in ${c.input}${_assumeBGR ? ' BGR' : ''} → out ${c.output}${c.swapOut ? ' (swap)' : ''}, input ${modelDims(_target, _target).join('×')}`);
+  _logger(lines.join('\n'));
+  return { ...c };
 }
 
-/* ---------- helpers ---------- */
-function drawBitmapToCanvas(bmp){ const c=document.createElement('canvas'); c.width=bmp.width; c.height=bmp.height; c.getContext('2d').drawImage(bmp,0,0); return c; }
-function buildUpperRightMask(canvas, frac){ const c=document.createElement('canvas'); c.width=canvas.width; c.height=canvas.height; const g=c.getContext('2d'); const rw=Math.round(canvas.width*frac.w); const rh=Math.round(canvas.height*frac.h); const rx=canvas.width-rw; g.clearRect(0,0,c.width,c.height); g.fillStyle='#fff'; g.fillRect(rx,0,rw,rh); return c; }
-function letterbox(srcCanvas,W,H){ const sw=srcCanvas.width, sh=srcCanvas.height; const scale=Math.min(W/sw,H/sh); const nw=Math.round(sw*scale), nh=Math.round(sh*scale); const dx=Math.floor((W-nw)/2), dy=Math.floor((H-nh)/2); const c=document.createElement('canvas'); c.width=W; c.height=H; const g=c.getContext('2d'); g.fillStyle='#000'; g.fillRect(0,0,W,H); g.drawImage(srcCanvas,0,0,sw,sh,dx,dy,nw,nh); const inv=(square)=>{ const tmp=document.createElement('canvas'); tmp.width=sw; tmp.height=sh; const tg=tmp.getContext('2d'); const crop=document.createElement('canvas'); crop.width=nw; crop.height=nh; crop.getContext('2d').drawImage(square,dx,dy,nw,nh,0,0,nw,nh); tg.drawImage(crop,0,0,nw,nh,0,0,sw,sh); return tmp; }; return { prep:c, invMap:inv }; }
-function nchwToCanvas(data,H,W){ const c=document.createElement('canvas'); c.width=W; c.height=H; const g=c.getContext('2d'); const img=g.createImageData(W,H); const plane=H*W; for(let y=0;y<H;y++){ for(let x=0;x<W;x++){ const o=y*W+x; // [-1,1] -> [0,1]
-      const r=clamp01((data[0*plane+o]+1)*0.5); const gg=clamp01((data[1*plane+o]+1)*0.5); const b=clamp01((data[2*plane+o]+1)*0.5);
-      const i=o*4; img.data[i]=r*255|0; img.data[i+1]=gg*255|0; img.data[i+2]=b*255|0; img.data[i+3]=255; } } g.putImageData(img,0,0); return c; }
-const clamp01 = v => v<0?0:v>1?1:v;
-// const minmax = (a)=>{ let mi=Infinity, ma=-Infinity; for(const v of a){ if(v<mi)mi=v; if(v>ma)ma=v; } return [mi,ma]; }
-// const sum = (a)=>{ let s=0; for(const v of a) s+=v; return s; }
+// Synthetic probe: left half PROBE_A, right half PROBE_B, square hole in the middle of the left half
+function probeImage(W, H) {
+  const img = { data: new Uint8ClampedArray(W*H*4), width: W, height: H }, msk = new Uint8Array(W*H);
+  const hole = probeRegions(W, H).box;
+  for (let y=0; y<H; y++) for (let x=0; x<W; x++) {
+    const p = y*W + x, i = p*4, col = x < W/2 ? PROBE_A : PROBE_B;
+    img.data[i] = col[0]; img.data[i+1] = col[1]; img.data[i+2] = col[2]; img.data[i+3] = 255;
+    if (x >= hole.x0 && x < hole.x1 && y >= hole.y0 && y < hole.y1) msk[p] = 1;
+  }
+  return [img, msk];
+}
 
+// Pixel index lists: a = left half away from the hole and the seam, b = right half away from the seam, hole = hole interior; box = hole rect
+function probeRegions(W, H) {
+  const s = Math.max(4, Math.round(Math.min(W, H) / 8));
+  const hole = { x0: Math.round(W/4 - s/2), y0: Math.round(H/2 - s/2), x1: Math.round(W/4 + s/2), y1: Math.round(H/2 + s/2) };
+  const m = Math.max(2, Math.round(s / 4));
+  const a = [], b = [], inner = [];
+  for (let y=m; y<H-m; y++) for (let x=m; x<W-m; x++) {
+    const i = y*W + x;
+    const nearHole = x >= hole.x0 - m && x < hole.x1 + m && y >= hole.y0 - m && y < hole.y1 + m;
+    if (x >= hole.x0 + m && x < hole.x1 - m && y >= hole.y0 + m && y < hole.y1 - m) inner.push(i);
+    else if (x < W/2 - m && !nearHole) a.push(i);
+    else if (x >= W/2 + m) b.push(i);
+  }
+  return { box: hole, a, b, hole: inner };
+}
+function meanErr(dec, idx, col) {
+  if (!idx.length) return 0;
+  let e = 0;
+  for (const i of idx) e += Math.abs(dec(0, i) - col[0]) + Math.abs(dec(1, i) - col[1]) + Math.abs(dec(2, i) - col[2]);
+  return e / (idx.length * 3);
+}
@@ -0,0 +1,151 @@
+// Model library: models cached in IndexedDB, listed with select / rename / delete / BGR,
+// switched in the inference worker without reloading the page.
+import { listModels, getModel, saveModel, updateModel, deleteModel, loadModelBytes } from './modelstore.js';
+import { initLamaFromBuffer, useModel, releaseModel, setAssumeBGR, probeModel } from './engine.js';
+import { setModelLabel, setBusy } from './app.js';
+
+const MAX_LOADED = 2;               // live sessions kept in the worker (each can be hundreds of MB)
+const LAST_KEY = 'lama.activeModel';
+
+let _listEl, _statusEl, _log, _onChange;
+let _activeId = null;
+let _loaded = [];                   // ids with a session in the worker, least recently used first
+
+export async function initModelLibrary({ listEl, statusEl, log, onChange }) {
+  _listEl = listEl; _statusEl = statusEl; _log = log || (()=>{}); _onChange = onChange || (()=>{});
+  await render();
+  const last = localStorage.getItem(LAST_KEY);
+  if (last && await getModel(last)) await selectModel(last);
+}
+
+/** Cache a picked .onnx file in the library and make it the active model. */
+export async function addModelFile(file) {
+  try {
+    setBusy(true, 'Reading model…');
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    setBusy(true, 'Saving model to the library…');
+    const meta = await saveModel(bytes, file.name);
+    await activate(meta, bytes);
+  } catch (e) {
+    console.error(e);
+    _log('Model init error: ' + (e.message || e));
+    _statusEl.textContent = 'Failed to initialize model.';
+  } finally {
+    setBusy(false);
+  }
+}
+
+/** Metadata of the active model, or null. */
+export async function getActiveModel() {
+  return _activeId ? getModel(_activeId) : null;
+}
+
+export async function selectModel(id) {
+  try {
+    setBusy(true, 'Loading model…');
+    const meta = await getModel(id);
+    if (!meta) throw new Error('Model not found in the library.');
+    await activate(meta);
+  } catch (e) {
+    console.error(e);
+    _log('Model load error: ' + (e.message || e));
+    _statusEl.textContent = 'Failed to load model.';
+  } finally {
+    setBusy(false);
+  }
+}
+
+async function activate(meta, bytes) {
+  const settings = { io: meta.io, target: meta.target, assumeBGR: meta.assumeBGR, compat: meta.compat };
+  let info;
+  if (_loaded.includes(meta.id)) {
+    info = await useModel(meta.id, settings);
+    _loaded = _loaded.filter(id => id !== meta.id);
+  } else {
+    setBusy(true, 'Initializing LaMa…');
+    if (!meta.compat) _statusEl.textContent = 'Initializing LaMa and testing compatibility…';
+    info = await initLamaFromBuffer(bytes || await loadModelBytes(meta.id), { id: meta.id, settings });
+  }
+  _loaded.push(meta.id);
+  while (_loaded.length > MAX_LOADED) await releaseModel(_loaded.shift());
+
+  _activeId = meta.id;
+  await updateModel(meta.id, { io: info.io, target: info.target, compat: info.compat, usedAt: Date.now() });
+  localStorage.setItem(LAST_KEY, meta.id);
+  setModelLabel(meta.name);
+  _statusEl.textContent = 'Model ready. Choose images.';
+  _log(`Model initialized: ${meta.name} (${meta.id.slice(0, 12)}…)`);
+  _onChange();
+  await render();
+}
+
+async function rename(meta) {
+  const name = prompt('Model name', meta.name);
+  if (!name || name === meta.name) return;
+  await updateModel(meta.id, { name });
+  if (meta.id === _activeId) setModelLabel(name);
+  await render();
+}
+
+async function remove(meta) {
+  if (!confirm(`Delete "${meta.name}" from this browser?`)) return;
+  if (_loaded.includes(meta.id)) { await releaseModel(meta.id); _loaded = _loaded.filter(id => id !== meta.id); }
+  await deleteModel(meta.id);
+  if (meta.id === _activeId) {
+    _activeId = null;
+    localStorage.removeItem(LAST_KEY);
+    setModelLabel(null);
+    _onChange();
+  }
+  await render();
+}
+
+// Re-run the compatibility probe (e.g. after changing BGR) and remember the result
+async function retest(meta) {
+  try {
+    setBusy(true, 'Testing model compatibility…');
+    const info = await probeModel();
+    await updateModel(meta.id, { compat: info.compat });
+    _statusEl.textContent = 'Compatibility re-tested; see the log.';
+  } catch (e) {
+    _log('Probe error: ' + (e.message || e));
+  } finally {
+    setBusy(false);
+    await render();
+  }
+}
+
+async function toggleBGR(meta, value) {
+  await updateModel(meta.id, { assumeBGR: value });
+  if (meta.id === _activeId) setAssumeBGR(value);
+  _log(`${meta.name}: assume BGR = ${value}`);
+}
+
+async function render() {
+  if (!_listEl) return;
+  let models = [];
+  try { models = await listModels(); }
+  catch (e) { _log('Model library unavailable: ' + (e.message || e)); }
+
+  _listEl.innerHTML = '';
+  if (!models.length) { _listEl.innerHTML = '<li class="muted">No stored models yet. Choose a .onnx file to add one.</li>'; return; }
+  for (const m of models) {
+    const li = document.createElement('li'); li.classList.toggle('active', m.id === _activeId);
+    const name = document.createElement('span'); name.className = 'name'; name.textContent = m.name; name.title = m.id;
+    const info = document.createElement('span'); info.className = 'muted';
+    info.textContent = `${(m.size / 1048576).toFixed(1)} MB` + (m.target ? ` · ${m.target}px` : '') + (m.io ? ` · ${m.io.image}/${m.io.mask}` : '')
+      + (m.compat ? ` · in ${m.compat.input} out ${m.compat.output}${m.compat.swapOut ? ' swap' : ''}` : '');
+    const bgr = document.createElement('label'); bgr.className = 'opt';
+    bgr.title = 'Input channel order is not detected by the probe: tick this if filled areas come out colour-shifted.';
+    const bgrIn = document.createElement('input'); bgrIn.type = 'checkbox'; bgrIn.checked = !!m.assumeBGR;
+    bgrIn.onchange = () => toggleBGR(m, bgrIn.checked);
+    bgr.append(bgrIn, 'BGR');
+    const use = button(m.id === _activeId ? 'Active' : 'Use', () => selectModel(m.id)); use.disabled = m.id === _activeId;
+    li.append(name, info, bgr, use);
+    if (m.id === _activeId) li.append(button('Re-test', () => retest(m)));
+    li.append(button('Rename', () => rename(m)), button('Delete', () => remove(m)));
+    _listEl.appendChild(li);
+  }
+}
+
+function button(text, fn) { const b = document.createElement('button'); b.type = 'button'; b.textContent = text; b.onclick = fn; return b; }
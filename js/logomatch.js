@@ -0,0 +1,199 @@
+// Reference-logo matching: find a sample crop of a recurring watermark in each image and mask exactly where it sits.
+// Zero-mean normalized cross-correlation over a scale range, coarse to fine: every scale is searched on a small
+// downsampled copy, the best peaks are re-scored on native pixels around where they landed.
+// DOM-free over js/pixels.js buffers (the browser and the CLI share it); drawMatchMask is the canvas adapter.
+import { cropImage, resizeImage, binaryToMask } from './pixels.js';
+import { imageToCanvas } from './canvasio.js';
+
+const DEFAULT_OPTS = { threshold: 0.6, minScale: 0.5, maxScale: 2, maxMatches: 4 };
+const SCALE_STEP = 2 ** 0.25;   // between searched scales; refinement tries half a step either side
+const COARSE = 24;              // template long side (px) in the coarse pass...
+const COARSE_MIN = 12;          // ...never below this, even if the image then exceeds COARSE_MAX
+const COARSE_MAX = 384;         // image long side cap in the coarse pass
+const REFINE = 64;              // template long side cap when re-scoring
+const SLACK = 0.15;             // coarse scores run low; keep peaks this far under the threshold for refinement
+const MIN_PIXELS = 16;          // fewer template pixels than this can't be scored
+
+/**
+ * Reference logo from an image buffer. Transparent pixels (alpha < 128) are not part of the logo: they are
+ * ignored when scoring and stay out of the mask, so a cut-out PNG masks the logo's shape instead of its box.
+ */
+export function prepareTemplate(img) {
+  let shaped = false;
+  for (let i = 3; i < img.data.length; i += 4) if (img.data[i] < 128) { shaped = true; break; }
+  return { image: img, width: img.width, height: img.height, shaped };
+}
+
+/**
+ * Search `img` for the template between opts.minScale and opts.maxScale (× its own size).
+ * Returns up to opts.maxMatches non-overlapping hits scoring at least opts.threshold (NCC, -1..1), best first:
+ * [{ x, y, w, h, score, scale }] in image px.
+ */
+export function findLogo(img, tpl, opts = {}) {
+  const o = { ...DEFAULT_OPTS, ...opts };
+  if (!(o.minScale > 0 && o.maxScale >= o.minScale)) throw new Error('Logo scale range must be positive, min ≤ max.');
+  const W = img.width, H = img.height, L = Math.max(tpl.width, tpl.height);
+  const steps = Math.floor(Math.log(o.maxScale / o.minScale) / Math.log(SCALE_STEP) + 1e-9) + 1;
+  const scales = Array.from({ length: steps }, (_, i) => o.minScale * SCALE_STEP ** i);
+
+  // one downsample shared by all scales (the smallest scale needs the most pixels), shrunk further per scale
+  const factor = (s) => Math.min(1, COARSE / (L * s), Math.max(COARSE_MAX / Math.max(W, H), COARSE_MIN / (L * s)));
+  const f0 = factor(o.minScale);
+  const base = resizeImage(img, Math.max(1, Math.round(W * f0)), Math.max(1, Math.round(H * f0)));
+  const peaks = [];
+  for (const s of scales) {
+    if (tpl.width * s > W || tpl.height * s > H) break;
+    const f = Math.min(f0, factor(s));
+    const gw = Math.max(1, Math.round(W * f)), gh = Math.max(1, Math.round(H * f));
+    const fx = gw / W, fy = gh / H;
+    const t = scaleTemplate(tpl, tpl.width * s * fx, tpl.height * s * fy);
+    const r = t && ncc(gray(gw === base.width && gh === base.height ? base : resizeImage(base, gw, gh)), gw, gh, t);
+    if (!r) continue;
+    for (const p of localMaxima(r, o.threshold - SLACK)) {
+      peaks.push({ x: p.x / fx, y: p.y / fy, w: tpl.width * s, h: tpl.height * s, score: p.score, scale: s, pad: 1.5 / Math.min(fx, fy) + 2 });
+    }
+  }
+
+  const refined = [];
+  for (const c of suppress(peaks, o.maxMatches * 3)) {
+    const m = refine(img, tpl, c);
+    if (m && m.score >= o.threshold) refined.push(m);
+  }
+  return suppress(refined, o.maxMatches);
+}
+
+/** Binary mask (1 = hole) of the matches: the template's shape (or box, for opaque crops) stamped at each hit. */
+export function matchMask(W, H, tpl, matches) {
+  const m = new Uint8Array(W * H);
+  for (const { x, y, w, h } of matches) {
+    const mw = Math.max(1, Math.round(w)), mh = Math.max(1, Math.round(h)), mx = Math.round(x), my = Math.round(y);
+    const a = tpl.shaped ? resizeImage(tpl.image, mw, mh).data : null;
+    for (let r = Math.max(0, -my); r < mh && my + r < H; r++) {
+      for (let c = Math.max(0, -mx); c < mw && mx + c < W; c++) {
+        if (!a || a[(r * mw + c) * 4 + 3] >= 128) m[(my + r) * W + mx + c] = 1;
+      }
+    }
+  }
+  return m;
+}
+
+/** matchMask as a mask canvas (white = hole). */
+export function drawMatchMask(tpl, matches, W, H) {
+  return imageToCanvas(binaryToMask(matchMask(W, H, tpl, matches), W, H));
+}
+
+// Re-score a coarse peak on (nearly) native pixels: a window around it, the scale half a step either side
+function refine(img, tpl, c) {
+  const L = Math.max(tpl.width, tpl.height);
+  let best = null;
+  for (const s of [c.scale / SCALE_STEP ** 0.5, c.scale, c.scale * SCALE_STEP ** 0.5]) {
+    const w = tpl.width * s, h = tpl.height * s;
+    const x0 = Math.max(0, Math.floor(c.x - c.pad)), y0 = Math.max(0, Math.floor(c.y - c.pad));
+    const x1 = Math.min(img.width, Math.ceil(c.x + Math.max(w, c.w) + c.pad)), y1 = Math.min(img.height, Math.ceil(c.y + Math.max(h, c.h) + c.pad));
+    if (x1 - x0 < w || y1 - y0 < h) continue;
+    const g = Math.min(1, REFINE / (L * s));
+    const gw = Math.max(1, Math.round((x1 - x0) * g)), gh = Math.max(1, Math.round((y1 - y0) * g));
+    const fx = gw / (x1 - x0), fy = gh / (y1 - y0);
+    const t = scaleTemplate(tpl, w * fx, h * fy);
+    const r = t && ncc(gray(resizeImage(cropImage(img, x0, y0, x1 - x0, y1 - y0), gw, gh)), gw, gh, t);
+    if (!r) continue;
+    for (let i = 0; i < r.map.length; i++) {
+      if (best && r.map[i] <= best.score) continue;
+      best = { x: x0 + (i % r.width) / fx, y: y0 + ((i / r.width) | 0) / fy, w, h, score: r.map[i], scale: s };
+    }
+  }
+  return best && { ...best, x: Math.round(best.x), y: Math.round(best.y), w: Math.round(best.w), h: Math.round(best.h), score: Math.round(best.score * 1000) / 1000, scale: Math.round(best.scale * 1000) / 1000 };
+}
+
+// Template resampled to w×h (rounded): luminance, and which pixels belong to the logo
+function scaleTemplate(tpl, w, h) {
+  const tw = Math.round(w), th = Math.round(h);
+  if (tw < 2 || th < 2) return null;
+  const img = resizeImage(tpl.image, tw, th), shape = new Uint8Array(tw * th);
+  for (let p = 0; p < shape.length; p++) shape[p] = !tpl.shaped || img.data[p * 4 + 3] >= 128 ? 1 : 0;
+  return { gray: gray(img), shape, width: tw, height: th, full: !tpl.shaped };
+}
+
+function gray(img) {
+  const d = img.data, out = new Float32Array(img.width * img.height);
+  for (let i = 0, p = 0; p < out.length; i += 4, p++) out[p] = 0.299 * d[i] + 0.587 * d[i + 1] + 0.114 * d[i + 2];
+  return out;
+}
+
+// Zero-mean NCC of template t at every position of the gw×gh gray image g (top-left corners).
+// Opaque templates take window sums from integral images; shaped ones sum over their own pixels.
+function ncc(g, gw, gh, t) {
+  const ow = gw - t.width + 1, oh = gh - t.height + 1;
+  if (ow < 1 || oh < 1) return null;
+  const offs = [], vals = [];
+  let mean = 0;
+  for (let i = 0; i < t.shape.length; i++) {
+    if (!t.shape[i]) continue;
+    offs.push(((i / t.width) | 0) * gw + i % t.width); vals.push(t.gray[i]); mean += t.gray[i];
+  }
+  const n = offs.length;
+  if (n < MIN_PIXELS) return null;
+  mean /= n;
+  let tss = 0;
+  for (let k = 0; k < n; k++) { vals[k] -= mean; tss += vals[k] * vals[k]; }
+  const map = new Float32Array(ow * oh);
+  if (tss < 1e-6) return { map, width: ow, height: oh }; // flat template: nothing to correlate
+  const off = Int32Array.from(offs), tv = Float32Array.from(vals);
+  const sums = t.full ? integrals(g, gw, gh) : null, iw = gw + 1;
+
+  for (let y = 0; y < oh; y++) for (let x = 0; x < ow; x++) {
+    const o = y * gw + x;
+    let s = 0, s1 = 0, s2 = 0;
+    if (sums) {
+      for (let k = 0; k < n; k++) s += g[o + off[k]] * tv[k];
+      const a = y * iw + x, b = a + t.width, c = a + t.height * iw, d = c + t.width;
+      s1 = sums.s1[d] - sums.s1[b] - sums.s1[c] + sums.s1[a];
+      s2 = sums.s2[d] - sums.s2[b] - sums.s2[c] + sums.s2[a];
+    } else {
+      for (let k = 0; k < n; k++) { const v = g[o + off[k]]; s += v * tv[k]; s1 += v; s2 += v * v; }
+    }
+    const vss = s2 - s1 * s1 / n;
+    map[y * ow + x] = vss > 1e-6 * n ? s / Math.sqrt(tss * vss) : 0;
+  }
+  return { map, width: ow, height: oh };
+}
+
+function integrals(g, W, H) {
+  const iw = W + 1, s1 = new Float64Array(iw * (H + 1)), s2 = new Float64Array(iw * (H + 1));
+  for (let y = 0; y < H; y++) {
+    let r1 = 0, r2 = 0;
+    for (let x = 0; x < W; x++) {
+      const v = g[y * W + x]; r1 += v; r2 += v * v;
+      s1[(y + 1) * iw + x + 1] = s1[y * iw + x + 1] + r1; s2[(y + 1) * iw + x + 1] = s2[y * iw + x + 1] + r2;
+    }
+  }
+  return { s1, s2 };
+}
+
+// Positions scoring at least `lo` that no 8-neighbour beats
+function localMaxima({ map, width, height }, lo) {
+  const out = [];
+  for (let y = 0; y < height; y++) for (let x = 0; x < width; x++) {
+    const v = map[y * width + x];
+    if (v < lo) continue;
+    let top = true;
+    for (let dy = -1; dy <= 1 && top; dy++) for (let dx = -1; dx <= 1; dx++) {
+      const nx = x + dx, ny = y + dy;
+      if ((dx || dy) && nx >= 0 && ny >= 0 && nx < width && ny < height && map[ny * width + nx] > v) { top = false; break; }
+    }
+    if (top) out.push({ x, y, score: v });
+  }
+  return out;
+}
+
+// Best first, dropping any hit that touches a better one: separate copies of a logo never overlap
+function suppress(list, max) {
+  const kept = [];
+  for (const b of [...list].sort((p, q) => q.score - p.score)) {
+    if (kept.length >= max) break;
+    if (!kept.some(k => overlaps(k, b))) kept.push(b);
+  }
+  return kept;
+}
+
+const overlaps = (a, b) => a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
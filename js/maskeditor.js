@@ -0,0 +1,228 @@
+// Per-tile mask editor: brush, eraser, rectangle, lasso, brush size and undo/redo drawn over the source image.
+// The mask lives at the bitmap's native size: opaque white = hole (fill), transparent = keep.
+import { maskToBinary } from './pixels.js';
+
+const TOOLS = ['brush', 'eraser', 'rect', 'lasso'];
+const TINT  = 'rgba(255,64,64,1)';
+const TINT_ALPHA = 0.45;
+
+/**
+ * Create an editor for one bitmap.
+ * `initialMask` (canvas, same size as bmp) is the starting mask that Reset returns to.
+ * Returns { el, getMask, hasMask, isEdited, setBase, setBoxes, destroy }.
+ */
+export function createMaskEditor(bmp, initialMask) {
+  const W = bmp.width, H = bmp.height;
+
+  const el   = document.createElement('div'); el.className = 'mask-editor';
+  const bar  = document.createElement('div'); bar.className = 'mask-tools';
+  const view = document.createElement('canvas'); view.width = W; view.height = H; view.className = 'mask-view';
+
+  const base = makeCanvas(W, H); if (initialMask) base.getContext('2d').drawImage(initialMask, 0, 0);
+  const mask = makeCanvas(W, H);
+  const tint = makeCanvas(W, H);
+
+  // Operations are replayed from the base mask, so undo never needs full-size snapshots.
+  let ops = [], redo = [];
+  let tool = 'brush', size = 24;
+  let live = null; // op being drawn
+  let boxes = [];   // detection preview: [{x, y, w, h, score}]
+  let frame = 0;    // pending requestAnimationFrame render
+
+  const toolBtns = {};
+  for (const t of TOOLS) {
+    const b = document.createElement('button'); b.type = 'button'; b.textContent = t[0].toUpperCase() + t.slice(1);
+    b.onclick = () => selectTool(t);
+    toolBtns[t] = b; bar.appendChild(b);
+  }
+  const sizeLbl = document.createElement('label'); sizeLbl.className = 'size';
+  const sizeIn  = document.createElement('input'); sizeIn.type = 'range'; sizeIn.min = 2; sizeIn.max = 128; sizeIn.value = size;
+  sizeIn.oninput = () => { size = +sizeIn.value; };
+  sizeLbl.append('Size', sizeIn);
+  const undoBtn  = button('Undo',  () => { if (ops.length) { redo.push(ops.pop()); replay(); } });
+  const redoBtn  = button('Redo',  () => { if (redo.length) { ops.push(redo.pop()); replay(); } });
+  const resetBtn = button('Reset', () => commit({ tool: 'reset', base }));
+  const clearBtn = button('Clear', () => commit({ tool: 'clear' }));
+  bar.append(sizeLbl, undoBtn, redoBtn, resetBtn, clearBtn);
+
+  el.appendChild(bar); el.appendChild(view);
+  selectTool(tool);
+  replay();
+
+  view.addEventListener('pointerdown', onDown);
+  view.addEventListener('pointermove', onMove);
+  view.addEventListener('pointerup', onUp);
+  view.addEventListener('pointercancel', onUp);
+
+  function button(text, fn) { const b = document.createElement('button'); b.type = 'button'; b.textContent = text; b.onclick = fn; return b; }
+
+  function selectTool(t) {
+    tool = t;
+    for (const k of TOOLS) toolBtns[k].classList.toggle('active', k === t);
+  }
+
+  // client px -> native image px
+  function toImage(e) {
+    const r = view.getBoundingClientRect();
+    const sx = W / r.width, sy = H / r.height;
+    return { x: (e.clientX - r.left) * sx, y: (e.clientY - r.top) * sy, scale: sx };
+  }
+
+  function onDown(e) {
+    if (e.button !== 0) return;
+    view.setPointerCapture(e.pointerId);
+    const p = toImage(e);
+    live = { tool, size: size * p.scale, points: [[p.x, p.y]] };
+    if (tool === 'brush' || tool === 'eraser') applyOp(mask.getContext('2d'), live);
+    render();
+  }
+
+  function onMove(e) {
+    if (!live) return;
+    const p = toImage(e);
+    if (live.tool === 'rect') live.points[1] = [p.x, p.y];
+    else live.points.push([p.x, p.y]);
+    if (live.tool === 'brush' || live.tool === 'eraser') {
+      // draw only the newest segment; the full op is replayed on undo/redo
+      const n = live.points.length;
+      applyOp(mask.getContext('2d'), { ...live, points: live.points.slice(n - 2) });
+    }
+    requestRender();
+  }
+
+  // pointermove can fire several times per frame and a render is a few full-size passes: draw once per frame
+  function requestRender() {
+    if (!frame) frame = requestAnimationFrame(() => { frame = 0; render(); });
+  }
+
+  function onUp() {
+    if (!live) return;
+    const op = live; live = null;
+    if (op.tool === 'rect' && op.points.length < 2) { render(); return; }
+    if (op.tool === 'lasso' && op.points.length < 3) { render(); return; }
+    commit(op, op.tool === 'brush' || op.tool === 'eraser');
+  }
+
+  function commit(op, alreadyDrawn) {
+    ops.push(op); redo = [];
+    if (alreadyDrawn) render(); else replay();
+  }
+
+  function replay() {
+    const g = mask.getContext('2d');
+    g.globalCompositeOperation = 'source-over';
+    g.clearRect(0, 0, W, H); g.drawImage(base, 0, 0);
+    for (const op of ops) applyOp(g, op);
+    render();
+  }
+
+  function render() {
+    if (frame) { cancelAnimationFrame(frame); frame = 0; }
+    undoBtn.disabled = !ops.length; redoBtn.disabled = !redo.length;
+    const tg = tint.getContext('2d');
+    tg.globalCompositeOperation = 'source-over';
+    tg.clearRect(0, 0, W, H); tg.drawImage(mask, 0, 0);
+    tg.globalCompositeOperation = 'source-in'; tg.fillStyle = TINT; tg.fillRect(0, 0, W, H);
+
+    const g = view.getContext('2d');
+    g.globalAlpha = 1; g.drawImage(bmp, 0, 0);
+    g.globalAlpha = TINT_ALPHA; g.drawImage(tint, 0, 0);
+    g.globalAlpha = 1;
+
+    if (boxes.length) {
+      const lw = Math.max(1, W / 500);
+      g.save();
+      g.strokeStyle = '#4fd1ff'; g.fillStyle = '#4fd1ff'; g.lineWidth = lw;
+      g.font = `${Math.round(lw * 12)}px ui-sans-serif, system-ui`; g.textBaseline = 'bottom';
+      for (const b of boxes) {
+        g.strokeRect(b.x, b.y, b.w, b.h);
+        if (b.score != null) g.fillText(b.score.toFixed(2), b.x, Math.max(lw * 12, b.y - lw));
+      }
+      g.restore();
+    }
+
+    if (live && (live.tool === 'rect' || live.tool === 'lasso')) {
+      g.save();
+      g.strokeStyle = '#fff'; g.lineWidth = Math.max(1, W / 400); g.setLineDash([g.lineWidth * 4, g.lineWidth * 3]);
+      g.beginPath(); tracePath(g, live); g.stroke();
+      g.restore();
+    }
+  }
+
+  return {
+    el,
+    /** Current mask canvas (native size). Callers must not draw into it. */
+    getMask: () => mask,
+    /** True when the mask has at least one hole pixel, as inpainting reads it (js/pixels.js maskToBinary). */
+    hasMask: () => hasHole(mask),
+    /** True once the user changed the starting mask. */
+    isEdited: () => ops.length > 0,
+    /** Replace the starting mask (Reset target) and drop the edit history. */
+    setBase(canvas) {
+      const g = base.getContext('2d'); g.clearRect(0, 0, W, H); if (canvas) g.drawImage(canvas, 0, 0);
+      ops = []; redo = []; replay();
+    },
+    /** Outline detected regions (with their score) over the image; pass [] to clear. */
+    setBoxes(list) { boxes = Array.isArray(list) ? list : []; render(); },
+    destroy() { cancelAnimationFrame(frame); el.remove(); },
+  };
+}
+
+/**
+ * Read-only thumbnail of what an editor shows: `src` scaled to `width` px wide (never enlarged), `mask` (canvas at
+ * the source size, or null) tinted over it and `boxes` outlined. `canvas` is resized to fit.
+ */
+export function drawMaskPreview(canvas, src, mask, boxes = [], width = src.width) {
+  const w = Math.min(width, src.width), s = w / src.width;
+  canvas.width = w; canvas.height = Math.max(1, Math.round(src.height * s));
+  const g = canvas.getContext('2d');
+  g.drawImage(src, 0, 0, canvas.width, canvas.height);
+  if (mask) {
+    const tint = makeCanvas(canvas.width, canvas.height), tg = tint.getContext('2d');
+    tg.drawImage(mask, 0, 0, canvas.width, canvas.height);
+    tg.globalCompositeOperation = 'source-in'; tg.fillStyle = TINT; tg.fillRect(0, 0, canvas.width, canvas.height);
+    g.globalAlpha = TINT_ALPHA; g.drawImage(tint, 0, 0); g.globalAlpha = 1;
+  }
+  g.strokeStyle = '#4fd1ff'; g.lineWidth = 1;
+  for (const b of boxes) g.strokeRect(Math.round(b.x * s) + 0.5, Math.round(b.y * s) + 0.5, Math.max(1, Math.round(b.w * s)), Math.max(1, Math.round(b.h * s)));
+}
+
+/* ---------- helpers ---------- */
+function makeCanvas(w, h) { const c = document.createElement('canvas'); c.width = w; c.height = h; return c; }
+
+function applyOp(g, op) {
+  g.save();
+  g.globalCompositeOperation = op.tool === 'eraser' ? 'destination-out' : 'source-over';
+  g.fillStyle = '#fff'; g.strokeStyle = '#fff';
+  switch (op.tool) {
+    case 'reset': g.clearRect(0, 0, g.canvas.width, g.canvas.height); g.drawImage(op.base, 0, 0); break;
+    case 'clear': g.clearRect(0, 0, g.canvas.width, g.canvas.height); break;
+    case 'brush':
+    case 'eraser': {
+      g.lineCap = 'round'; g.lineJoin = 'round'; g.lineWidth = op.size;
+      const [x0, y0] = op.points[0];
+      if (op.points.length === 1) { g.beginPath(); g.arc(x0, y0, op.size / 2, 0, Math.PI * 2); g.fill(); break; }
+      g.beginPath(); tracePath(g, op); g.stroke();
+      break;
+    }
+    case 'rect':
+    case 'lasso': g.beginPath(); tracePath(g, op); g.fill(); break;
+  }
+  g.restore();
+}
+
+function tracePath(g, op) {
+  const pts = op.points;
+  if (op.tool === 'rect') {
+    const [a, b] = [pts[0], pts[1] || pts[0]];
+    g.rect(Math.min(a[0], b[0]), Math.min(a[1], b[1]), Math.abs(b[0] - a[0]), Math.abs(b[1] - a[1]));
+    return;
+  }
+  g.moveTo(pts[0][0], pts[0][1]);
+  for (let i = 1; i < pts.length; i++) g.lineTo(pts[i][0], pts[i][1]);
+  if (op.tool === 'lasso') g.closePath();
+}
+
+function hasHole(c) {
+  return maskToBinary(c.getContext('2d').getImageData(0, 0, c.width, c.height)).includes(1);
+}
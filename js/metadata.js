@@ -0,0 +1,206 @@
+// Non-sensitive image metadata: read orientation, capture dates and the ICC profile from a source file
+// (JPEG / PNG / WebP) and write them into an encoded output. GPS, maker notes, serials etc. are never copied.
+import { crc32 } from './zip.js';
+
+const TAG = { Orientation: 0x0112, DateTime: 0x0132, ExifIFD: 0x8769, DateTimeOriginal: 0x9003, DateTimeDigitized: 0x9004 };
+const EXIF_HEADER = [0x45, 0x78, 0x69, 0x66, 0, 0]; // "Exif\0\0"
+const ICC_HEADER  = 'ICC_PROFILE\0';
+
+/** Returns { orientation, dates: { DateTime?, DateTimeOriginal?, DateTimeDigitized? }, icc: Uint8Array|null }. */
+export async function readMetadata(blob) {
+  const b = new Uint8Array(await blob.arrayBuffer());
+  const meta = { orientation: 1, dates: {}, icc: null };
+  try {
+    if (b[0] === 0xFF && b[1] === 0xD8) readJpeg(b, meta);
+    else if (b[0] === 0x89 && b[1] === 0x50 && b[2] === 0x4E && b[3] === 0x47) await readPng(b, meta);
+    else if (ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 4) === 'WEBP') readWebp(b, meta);
+  } catch (e) {
+    console.warn('metadata: could not parse', e);
+  }
+  return meta;
+}
+
+/**
+ * Copy `meta` into an encoded image blob of `type` ('image/jpeg' | 'image/png' | 'image/webp').
+ * Pixels were already rotated upright when decoded, so Orientation is written as 1.
+ * `srgb`: the pixels were converted to sRGB on decode (browsers do), so the source ICC profile no longer
+ * describes them; it is dropped and the output tagged sRGB (a PNG sRGB chunk; untagged JPEG / WebP mean sRGB).
+ */
+export async function writeMetadata(blob, type, meta, { width, height, srgb = false } = {}) {
+  if (!meta) return blob;
+  const b = new Uint8Array(await blob.arrayBuffer());
+  const tiff = buildTiff(meta.dates);
+  const icc = srgb ? null : meta.icc;
+  if (type === 'image/jpeg') return new Blob([writeJpeg(b, tiff, icc)], { type });
+  if (type === 'image/png')  return new Blob([await writePng(b, tiff, icc, srgb)], { type });
+  if (type === 'image/webp') return new Blob([writeWebp(b, tiff, icc, width, height)], { type });
+  return blob;
+}
+
+/* ---------- readers ---------- */
+function readJpeg(b, meta) {
+  const icc = [];
+  for (let p = 2; p + 4 <= b.length && b[p] === 0xFF;) {
+    const marker = b[p + 1], len = (b[p + 2] << 8) | b[p + 3];
+    if (marker === 0xDA || marker === 0xD9) break; // start of scan / end of image
+    const body = b.subarray(p + 4, p + 2 + len);
+    if (marker === 0xE1 && startsWith(body, EXIF_HEADER)) readTiff(body.subarray(6), meta);
+    if (marker === 0xE2 && ascii(body, 0, 12) === ICC_HEADER) icc[body[12]] = body.subarray(14);
+    p += 2 + len;
+  }
+  if (icc.length) meta.icc = concat(icc.filter(Boolean));
+}
+
+async function readPng(b, meta) {
+  for (let p = 8; p + 8 <= b.length;) {
+    const len = readU32BE(b, p), type = ascii(b, p + 4, 4), data = b.subarray(p + 8, p + 8 + len);
+    if (type === 'eXIf') readTiff(data, meta);
+    if (type === 'iCCP') { const z = data.indexOf(0) + 2; meta.icc = await inflate(data.subarray(z)); }
+    if (type === 'IEND') break;
+    p += 12 + len;
+  }
+}
+
+function readWebp(b, meta) {
+  for (let p = 12; p + 8 <= b.length;) {
+    const type = ascii(b, p, 4), len = readU32LE(b, p + 4), data = b.subarray(p + 8, p + 8 + len);
+    if (type === 'ICCP') meta.icc = data.slice();
+    if (type === 'EXIF') readTiff(startsWith(data, EXIF_HEADER) ? data.subarray(6) : data, meta);
+    p += 8 + len + (len & 1);
+  }
+}
+
+function readTiff(t, meta) {
+  const le = t[0] === 0x49;
+  const u16 = (o) => le ? t[o] | (t[o+1] << 8) : (t[o] << 8) | t[o+1];
+  const u32 = (o) => (le ? (t[o] | (t[o+1] << 8) | (t[o+2] << 16) | (t[o+3] << 24)) : ((t[o] << 24) | (t[o+1] << 16) | (t[o+2] << 8) | t[o+3])) >>> 0;
+  const str = (o, n) => ascii(t, o, n).replace(/\0.*$/, '');
+  const readIfd = (off, want) => {
+    const out = {};
+    const n = u16(off);
+    for (let i = 0; i < n; i++) {
+      const e = off + 2 + i * 12, tag = u16(e), type = u16(e + 2), count = u32(e + 4);
+      if (!want.includes(tag)) continue;
+      if (type === 3) out[tag] = u16(e + 8);                                   // SHORT
+      else if (type === 4) out[tag] = u32(e + 8);                              // LONG
+      else if (type === 2) out[tag] = str(count <= 4 ? e + 8 : u32(e + 8), count); // ASCII
+    }
+    return out;
+  };
+  const ifd0 = readIfd(u32(4), [TAG.Orientation, TAG.DateTime, TAG.ExifIFD]);
+  if (ifd0[TAG.Orientation]) meta.orientation = ifd0[TAG.Orientation];
+  if (ifd0[TAG.DateTime]) meta.dates.DateTime = ifd0[TAG.DateTime];
+  if (ifd0[TAG.ExifIFD]) {
+    const ex = readIfd(ifd0[TAG.ExifIFD], [TAG.DateTimeOriginal, TAG.DateTimeDigitized]);
+    if (ex[TAG.DateTimeOriginal]) meta.dates.DateTimeOriginal = ex[TAG.DateTimeOriginal];
+    if (ex[TAG.DateTimeDigitized]) meta.dates.DateTimeDigitized = ex[TAG.DateTimeDigitized];
+  }
+}
+
+/* ---------- writers ---------- */
+// Little-endian TIFF: IFD0 { Orientation=1, DateTime?, ExifIFD? } → Exif IFD { DateTimeOriginal?, DateTimeDigitized? }
+function buildTiff(dates = {}) {
+  const ifd0 = [[TAG.Orientation, 3, 1]];
+  if (dates.DateTime) ifd0.push([TAG.DateTime, 2, dates.DateTime]);
+  const exif = [];
+  if (dates.DateTimeOriginal) exif.push([TAG.DateTimeOriginal, 2, dates.DateTimeOriginal]);
+  if (dates.DateTimeDigitized) exif.push([TAG.DateTimeDigitized, 2, dates.DateTimeDigitized]);
+  if (exif.length) ifd0.push([TAG.ExifIFD, 4, 0]);
+
+  const ifdSize = (n) => 2 + n * 12 + 4;
+  const strings = [...ifd0, ...exif].filter(e => e[1] === 2).reduce((s, e) => s + e[2].length + 1, 0);
+  const exifOff = 8 + ifdSize(ifd0.length);
+  let dataOff = exifOff + (exif.length ? ifdSize(exif.length) : 0);
+  const buf = new Uint8Array(dataOff + strings + 1), v = new DataView(buf.buffer);
+  buf.set([0x49, 0x49, 42, 0]); v.setUint32(4, 8, true);
+
+  const writeIfd = (off, entries) => {
+    v.setUint16(off, entries.length, true);
+    entries.forEach(([tag, type, val], i) => {
+      const e = off + 2 + i * 12;
+      v.setUint16(e, tag, true); v.setUint16(e + 2, type, true);
+      if (type === 3) { v.setUint32(e + 4, 1, true); v.setUint16(e + 8, val, true); }
+      else if (type === 4) { v.setUint32(e + 4, 1, true); v.setUint32(e + 8, tag === TAG.ExifIFD ? exifOff : val, true); }
+      else { const s = val + '\0'; v.setUint32(e + 4, s.length, true); v.setUint32(e + 8, dataOff, true); for (let k = 0; k < s.length; k++) buf[dataOff++] = s.charCodeAt(k) & 0x7F; }
+    });
+    v.setUint32(off + 2 + entries.length * 12, 0, true); // no next IFD
+  };
+  writeIfd(8, ifd0);
+  if (exif.length) writeIfd(exifOff, exif);
+  return buf.subarray(0, dataOff);
+}
+
+function writeJpeg(b, tiff, icc) {
+  const segs = [segment(0xE1, concat([new Uint8Array(EXIF_HEADER), tiff]))];
+  if (icc) {
+    const CHUNK = 65533 - 14, n = Math.ceil(icc.length / CHUNK);
+    for (let i = 0; i < n; i++) segs.push(segment(0xE2, concat([bytesOf(ICC_HEADER), new Uint8Array([i + 1, n]), icc.subarray(i * CHUNK, (i + 1) * CHUNK)])));
+  }
+  // keep SOI (+ JFIF APP0 if present) first; drop any EXIF/ICC the encoder wrote
+  let p = 2;
+  const head = [b.subarray(0, 2)], rest = [];
+  if (b[2] === 0xFF && b[3] === 0xE0) { const len = (b[4] << 8) | b[5]; head.push(b.subarray(2, 4 + len)); p = 4 + len; }
+  while (p + 4 <= b.length && b[p] === 0xFF && (b[p + 1] === 0xE1 || b[p + 1] === 0xE2)) p += 2 + ((b[p + 2] << 8) | b[p + 3]);
+  rest.push(b.subarray(p));
+  return concat([...head, ...segs, ...rest]);
+}
+
+async function writePng(b, tiff, icc, srgb) {
+  const out = [b.subarray(0, 8)];
+  for (let p = 8; p + 8 <= b.length;) {
+    const len = readU32BE(b, p), type = ascii(b, p + 4, 4);
+    const chunk = b.subarray(p, p + 12 + len);
+    if (type === 'IHDR') {
+      out.push(chunk);
+      if (icc) out.push(pngChunk('iCCP', concat([bytesOf('ICC Profile\0'), new Uint8Array([0]), await deflate(icc)])));
+      else if (srgb) out.push(pngChunk('sRGB', new Uint8Array([0]))); // perceptual intent
+      out.push(pngChunk('eXIf', tiff));
+    } else if (!((icc || srgb) && (type === 'sRGB' || type === 'iCCP' || type === 'gAMA')) && type !== 'eXIf') {
+      out.push(chunk);
+    }
+    p += 12 + len;
+  }
+  return concat(out);
+}
+
+function writeWebp(b, tiff, icc, width, height) {
+  const chunks = [];
+  let flags = 0;
+  for (let p = 12; p + 8 <= b.length;) {
+    const type = ascii(b, p, 4), len = readU32LE(b, p + 4);
+    if (type === 'VP8X') { flags = b[p + 8]; if (!width) { width = 1 + (b[p+12] | (b[p+13] << 8) | (b[p+14] << 16)); height = 1 + (b[p+15] | (b[p+16] << 8) | (b[p+17] << 16)); } }
+    else if (type !== 'ICCP' && type !== 'EXIF') chunks.push(b.subarray(p, p + 8 + len + (len & 1)));
+    p += 8 + len + (len & 1);
+  }
+  if (!width || !height) return b; // can't build VP8X without the canvas size
+  flags = (flags & ~0x28) | 0x08 | (icc ? 0x20 : 0);
+  const vp8x = new Uint8Array(10);
+  vp8x[0] = flags;
+  vp8x.set([(width - 1) & 0xFF, ((width - 1) >> 8) & 0xFF, ((width - 1) >> 16) & 0xFF], 4);
+  vp8x.set([(height - 1) & 0xFF, ((height - 1) >> 8) & 0xFF, ((height - 1) >> 16) & 0xFF], 7);
+  const body = concat([riffChunk('VP8X', vp8x), ...(icc ? [riffChunk('ICCP', icc)] : []), ...chunks, riffChunk('EXIF', tiff)]);
+  const head = new Uint8Array(12); head.set(bytesOf('RIFF')); new DataView(head.buffer).setUint32(4, 4 + body.length, true); head.set(bytesOf('WEBP'), 8);
+  return concat([head, body]);
+}
+
+/* ---------- helpers ---------- */
+function segment(marker, data) { const h = new Uint8Array([0xFF, marker, (data.length + 2) >> 8, (data.length + 2) & 0xFF]); return concat([h, data]); }
+function pngChunk(type, data) {
+  const c = new Uint8Array(12 + data.length), v = new DataView(c.buffer);
+  v.setUint32(0, data.length); c.set(bytesOf(type), 4); c.set(data, 8);
+  v.setUint32(8 + data.length, crc32(c.subarray(4, 8 + data.length)));
+  return c;
+}
+function riffChunk(type, data) {
+  const c = new Uint8Array(8 + data.length + (data.length & 1));
+  c.set(bytesOf(type)); new DataView(c.buffer).setUint32(4, data.length, true); c.set(data, 8);
+  return c;
+}
+async function inflate(bytes) { return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'))).arrayBuffer()); }
+async function deflate(bytes) { return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'))).arrayBuffer()); }
+function concat(arrs) { const out = new Uint8Array(arrs.reduce((n, a) => n + a.length, 0)); let o = 0; for (const a of arrs) { out.set(a, o); o += a.length; } return out; }
+function bytesOf(s) { return Uint8Array.from(s, ch => ch.charCodeAt(0)); }
+function ascii(b, o, n) { return String.fromCharCode(...b.subarray(o, o + n)); }
+function startsWith(b, arr) { return arr.every((v, i) => b[i] === v); }
+const readU32BE = (b, o) => ((b[o] << 24) | (b[o+1] << 16) | (b[o+2] << 8) | b[o+3]) >>> 0;
+const readU32LE = (b, o) => (b[o] | (b[o+1] << 8) | (b[o+2] << 16) | (b[o+3] << 24)) >>> 0;
@@ -0,0 +1,46 @@
+// Local model cache: .onnx bytes and their detected settings in IndexedDB, keyed by SHA-256 of the bytes.
+import { idbGet, idbGetAll, idbPut, idbDelete } from './idb.js';
+
+export async function hashBytes(bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/** All stored models' metadata, most recently used first. */
+export async function listModels() {
+  const all = await idbGetAll('models');
+  return all.sort((a, b) => (b.usedAt || 0) - (a.usedAt || 0));
+}
+
+export const getModel = (id) => idbGet('models', id);
+
+/** Store bytes under their hash; an existing entry with the same content is reused (name kept). Returns the metadata. */
+export async function saveModel(bytes, name) {
+  const id = await hashBytes(bytes);
+  const existing = await getModel(id);
+  if (existing) return existing;
+  const meta = { id, name, size: bytes.byteLength, addedAt: Date.now(), usedAt: 0, io: null, target: null, assumeBGR: false };
+  await idbPut('modelBytes', { id, blob: new Blob([bytes]) });
+  await idbPut('models', meta);
+  navigator.storage?.persist?.(); // ask the browser not to evict 200MB we'd otherwise re-pick
+  return meta;
+}
+
+export async function updateModel(id, patch) {
+  const meta = await getModel(id);
+  if (!meta) throw new Error('Model not found in the library.');
+  const next = { ...meta, ...patch, id };
+  await idbPut('models', next);
+  return next;
+}
+
+export async function deleteModel(id) {
+  await idbDelete('modelBytes', id);
+  await idbDelete('models', id);
+}
+
+export async function loadModelBytes(id) {
+  const rec = await idbGet('modelBytes', id);
+  if (!rec) throw new Error('Model bytes missing from the library.');
+  return new Uint8Array(await rec.blob.arrayBuffer());
+}
@@ -0,0 +1,257 @@
+// DOM-free pixel core for the LaMa pipeline: resize, letterbox / inverse map, NCHW packing, masks and mask geometry.
+// Images are ImageData-shaped { data: Uint8ClampedArray (RGBA), width, height }; masks are Uint8Array (1 = hole) per pixel.
+// The browser wraps these with canvas (js/canvasio.js); the Node CLI with file codecs (cli/image-stripper.js).
+
+export function createImage(width, height) {
+  return { data: new Uint8ClampedArray(width * height * 4), width, height };
+}
+
+export function cropImage(img, x, y, w, h) {
+  const out = createImage(w, h);
+  for (let r = 0; r < h; r++) {
+    const s = ((y + r) * img.width + x) * 4;
+    out.data.set(img.data.subarray(s, s + w * 4), r * w * 4);
+  }
+  return out;
+}
+
+/** Apply an EXIF orientation (1–8) so the pixels come out upright; 5–8 swap width and height. */
+export function orientImage(img, orientation) {
+  if (!(orientation >= 2 && orientation <= 8)) return img;
+  const w = img.width, h = img.height, swap = orientation >= 5;
+  const out = createImage(swap ? h : w, swap ? w : h), W = out.width, H = out.height;
+  const src = [null, null,
+    (x, y) => [w - 1 - x, y],         (x, y) => [w - 1 - x, h - 1 - y], (x, y) => [x, h - 1 - y],
+    (x, y) => [y, x],                 (x, y) => [y, h - 1 - x],         (x, y) => [w - 1 - y, h - 1 - x],
+    (x, y) => [w - 1 - y, x]][orientation];
+  for (let y = 0; y < H; y++) for (let x = 0; x < W; x++) {
+    const [sx, sy] = src(x, y), i = (sy * w + sx) * 4, o = (y * W + x) * 4;
+    out.data[o] = img.data[i]; out.data[o + 1] = img.data[i + 1]; out.data[o + 2] = img.data[i + 2]; out.data[o + 3] = img.data[i + 3];
+  }
+  return out;
+}
+
+/** Resample to w×h: triangle filter (area-like when shrinking, bilinear when enlarging), separable. */
+export function resizeImage(img, w, h) {
+  if (img.width === w && img.height === h) return { data: new Uint8ClampedArray(img.data), width: w, height: h };
+  const sw = img.width, sh = img.height, src = img.data;
+  const cx = contributions(sw, w), cy = contributions(sh, h);
+  const tmp = new Float32Array(w * sh * 4);
+  for (let y = 0; y < sh; y++) for (let x = 0; x < w; x++) {
+    const { idx, wt } = cx[x], o = (y * w + x) * 4;
+    for (let k = 0; k < idx.length; k++) {
+      const i = (y * sw + idx[k]) * 4, v = wt[k];
+      tmp[o] += src[i] * v; tmp[o + 1] += src[i + 1] * v; tmp[o + 2] += src[i + 2] * v; tmp[o + 3] += src[i + 3] * v;
+    }
+  }
+  const out = createImage(w, h);
+  for (let y = 0; y < h; y++) {
+    const { idx, wt } = cy[y];
+    for (let x = 0; x < w; x++) {
+      const o = (y * w + x) * 4;
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let k = 0; k < idx.length; k++) {
+        const i = (idx[k] * w + x) * 4, v = wt[k];
+        r += tmp[i] * v; g += tmp[i + 1] * v; b += tmp[i + 2] * v; a += tmp[i + 3] * v;
+      }
+      out.data[o] = r; out.data[o + 1] = g; out.data[o + 2] = b; out.data[o + 3] = a; // clamped array rounds
+    }
+  }
+  return out;
+}
+
+// Per output index: source indices and normalized weights of a triangle kernel scaled to the shrink factor
+function contributions(src, dst) {
+  const scale = src / dst, support = Math.max(1, scale), out = new Array(dst);
+  for (let i = 0; i < dst; i++) {
+    const c = (i + 0.5) * scale - 0.5;
+    const idx = [], wt = [];
+    let sum = 0;
+    for (let j = Math.max(0, Math.floor(c - support)); j <= Math.min(src - 1, Math.ceil(c + support)); j++) {
+      const v = 1 - Math.abs(j - c) / support;
+      if (v > 0) { idx.push(j); wt.push(v); sum += v; }
+    }
+    if (!sum) { idx.push(Math.max(0, Math.min(src - 1, Math.round(c)))); wt.push(1); sum = 1; }
+    out[i] = { idx, wt: wt.map(v => v / sum) };
+  }
+  return out;
+}
+
+/**
+ * Fit `img` inside W×H keeping its aspect, centred on opaque black.
+ * Returns { image, map }; `map` ({ sw, sh, dx, dy, nw, nh, W, H }) feeds letterboxMask() and unletterbox().
+ */
+export function letterbox(img, W, H) {
+  const sw = img.width, sh = img.height, scale = Math.min(W / sw, H / sh);
+  const nw = Math.round(sw * scale), nh = Math.round(sh * scale);
+  const dx = Math.floor((W - nw) / 2), dy = Math.floor((H - nh) / 2);
+  const image = createImage(W, H), fit = resizeImage(img, nw, nh);
+  for (let i = 3; i < image.data.length; i += 4) image.data[i] = 255;
+  for (let y = 0; y < nh; y++) image.data.set(fit.data.subarray(y * nw * 4, (y + 1) * nw * 4), ((y + dy) * W + dx) * 4);
+  return { image, map: { sw, sh, dx, dy, nw, nh, W, H } };
+}
+
+/** Letterbox a mask with the same map: a target pixel is a hole if any source pixel under it is; padding is kept. */
+export function letterboxMask(m, map) {
+  const { sw, sh, dx, dy, nw, nh, W, H } = map, out = new Uint8Array(W * H);
+  for (let y = 0; y < nh; y++) {
+    const y0 = Math.floor(y * sh / nh), y1 = Math.max(y0 + 1, Math.ceil((y + 1) * sh / nh));
+    for (let x = 0; x < nw; x++) {
+      const x0 = Math.floor(x * sw / nw), x1 = Math.max(x0 + 1, Math.ceil((x + 1) * sw / nw));
+      let hit = 0;
+      for (let sy = y0; sy < y1 && !hit; sy++) for (let sx = x0; sx < x1; sx++) if (m[sy * sw + sx]) { hit = 1; break; }
+      out[(y + dy) * W + x + dx] = hit;
+    }
+  }
+  return out;
+}
+
+/** Map a letterboxed W×H result back to the source size. */
+export function unletterbox(img, map) {
+  return resizeImage(cropImage(img, map.dx, map.dy, map.nw, map.nh), map.sw, map.sh);
+}
+
+/**
+ * RGBA image + mask -> planar float tensors: image [3,H,W] through `enc` (maps [0,1] into the model's range),
+ * optionally as BGR; mask [1,H,W] with 1 = hole.
+ */
+export function packNCHW(img, m, { enc = (v) => v, bgr = false } = {}) {
+  const plane = img.width * img.height, d = img.data;
+  const image = new Float32Array(3 * plane), mask = new Float32Array(plane);
+  const [ri, bi] = bgr ? [2, 0] : [0, 2];
+  for (let px = 0, i = 0; px < plane; px++, i += 4) {
+    image[ri * plane + px] = enc(d[i] / 255);
+    image[plane + px]      = enc(d[i + 1] / 255);
+    image[bi * plane + px] = enc(d[i + 2] / 255);
+    mask[px] = m[px] ? 1 : 0;
+  }
+  return { image, mask };
+}
+
+/** Planar [3,H,W] model output -> opaque RGBA image, through `dec` (model range -> [0,1]); `swap` reads it as BGR. */
+export function unpackNCHW(data, width, height, { dec = (v) => v, swap = false } = {}) {
+  const out = createImage(width, height), plane = width * height;
+  const [ri, bi] = swap ? [2, 0] : [0, 2];
+  for (let px = 0, i = 0; px < plane; px++, i += 4) {
+    out.data[i]     = clamp01(dec(data[ri * plane + px])) * 255 | 0;
+    out.data[i + 1] = clamp01(dec(data[plane + px])) * 255 | 0;
+    out.data[i + 2] = clamp01(dec(data[bi * plane + px])) * 255 | 0;
+    out.data[i + 3] = 255;
+  }
+  return out;
+}
+export const clamp01 = v => v<0?0:v>1?1:v;
+
+/* ---------- masks ---------- */
+/**
+ * RGBA mask image -> binary mask: a hole is a light (luminance ≥ 128) and mostly opaque (alpha ≥ 128) pixel.
+ * Covers the app's white-on-transparent masks and opaque black/white ones alike.
+ */
+export function maskToBinary(img) {
+  const d = img.data, m = new Uint8Array(img.width * img.height);
+  for (let i = 0, p = 0; i < d.length; i += 4, p++) m[p] = d[i+3] >= 128 && 0.299 * d[i] + 0.587 * d[i+1] + 0.114 * d[i+2] >= 128 ? 1 : 0;
+  return m;
+}
+
+/** Binary mask -> RGBA image (white opaque holes, transparent elsewhere). */
+export function binaryToMask(m, width, height) {
+  const out = createImage(width, height);
+  for (let p = 0; p < m.length; p++) if (m[p]) out.data.fill(255, p * 4, p * 4 + 4);
+  return out;
+}
+
+/** Box of `frac` ({ w, h } of the image) in the upper-right corner. */
+export function upperRightMask(W, H, frac) {
+  const m = new Uint8Array(W * H), rw = Math.round(W * frac.w), rh = Math.round(H * frac.h);
+  for (let y = 0; y < rh; y++) m.fill(1, y * W + W - rw, (y + 1) * W);
+  return m;
+}
+
+/** Fill polygons ([[x, y], ...] in px) into a W×H binary mask; a pixel is in if its centre is (even-odd rule). */
+export function fillPolygons(W, H, polys) {
+  const m = new Uint8Array(W * H);
+  for (const poly of polys) {
+    const ys = poly.map(p => p[1]);
+    const yStart = Math.max(0, Math.ceil(Math.min(...ys) - 0.5)), yEnd = Math.min(H - 1, Math.floor(Math.max(...ys) - 0.5));
+    for (let y = yStart; y <= yEnd; y++) {
+      const cy = y + 0.5, xs = [];
+      for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+        const [xi, yi] = poly[i], [xj, yj] = poly[j];
+        if ((yi > cy) !== (yj > cy)) xs.push(xi + (cy - yi) * (xj - xi) / (yj - yi));
+      }
+      xs.sort((a, b) => a - b);
+      for (let k = 0; k + 1 < xs.length; k += 2) {
+        const x0 = Math.max(0, Math.ceil(xs[k] - 0.5)), x1 = Math.min(W - 1, Math.floor(xs[k + 1] - 0.5));
+        if (x1 >= x0) m.fill(1, y * W + x0, y * W + x1 + 1);
+      }
+    }
+  }
+  return m;
+}
+
+/* ---------- mask geometry (native resolution) ---------- */
+// Square dilation by r px: separable sliding-window max, O(W*H) regardless of r
+export function dilate(m,W,H,r){
+  if(!r) return m;
+  const tmp=new Uint8Array(W*H), out=new Uint8Array(W*H);
+  for(let y=0;y<H;y++){ const row=y*W; let n=0; for(let x=0;x<Math.min(r,W);x++) n+=m[row+x];
+    for(let x=0;x<W;x++){ if(x+r<W) n+=m[row+x+r]; if(x-r-1>=0) n-=m[row+x-r-1]; tmp[row+x]=n?1:0; } }
+  for(let x=0;x<W;x++){ let n=0; for(let y=0;y<Math.min(r,H);y++) n+=tmp[y*W+x];
+    for(let y=0;y<H;y++){ if(y+r<H) n+=tmp[(y+r)*W+x]; if(y-r-1>=0) n-=tmp[(y-r-1)*W+x]; out[y*W+x]=n?1:0; } }
+  return out;
+}
+
+export function bboxOf(m,W,H){ let x0=W,y0=H,x1=-1,y1=-1; for(let y=0;y<H;y++) for(let x=0;x<W;x++) if(m[y*W+x]){ if(x<x0)x0=x; if(x>x1)x1=x; if(y<y0)y0=y; if(y>y1)y1=y; } return x1<0?null:{ x0, y0, x1:x1+1, y1:y1+1 }; }
+
+// Blend weight per pixel: ramps 0→1 over `feather` px inward from the mask edge, exactly 0 outside the mask.
+// Chamfer (3-4) distance to the nearest keep pixel, computed only inside the mask's bbox.
+export function featherWeights(m,W,H,feather,box){
+  const w=new Float32Array(W*H);
+  if(!feather){ for(let i=0;i<m.length;i++) w[i]=m[i]; return w; }
+  const {x0,y0,x1,y1}=box, bw=x1-x0, bh=y1-y0, INF=1e9, d=new Float32Array(bw*bh);
+  const at=(x,y)=> (x<x0||y<y0||x>=x1||y>=y1) ? 0 : d[(y-y0)*bw+(x-x0)]; // outside bbox = keep
+  for(let y=y0;y<y1;y++) for(let x=x0;x<x1;x++){ const i=(y-y0)*bw+(x-x0); if(!m[y*W+x]){ d[i]=0; continue; }
+    d[i]=Math.min(INF, at(x-1,y)+3, at(x,y-1)+3, at(x-1,y-1)+4, at(x+1,y-1)+4); }
+  for(let y=y1-1;y>=y0;y--) for(let x=x1-1;x>=x0;x--){ const i=(y-y0)*bw+(x-x0); if(!d[i]) continue;
+    d[i]=Math.min(d[i], at(x+1,y)+3, at(x,y+1)+3, at(x+1,y+1)+4, at(x-1,y+1)+4); }
+  for(let y=y0;y<y1;y++) for(let x=x0;x<x1;x++){ const v=d[(y-y0)*bw+(x-x0)]; if(v) w[y*W+x]=Math.min(1,(v/3)/feather); }
+  return w;
+}
+
+// Tile the mask bbox into cores of (win - 2*context) px; each window is winW×winH (clamped to the image) centred on its core.
+// Context is capped at a quarter of the window so a core never drops below half of it.
+export function planWindows(m,box,W,H,winW,winH,context){
+  const ww=Math.min(winW,W), wh=Math.min(winH,H);
+  const cw=ww===W ? W : Math.max(1,ww-2*Math.min(context,Math.floor(ww/4))), ch=wh===H ? H : Math.max(1,wh-2*Math.min(context,Math.floor(wh/4)));
+  const out=[];
+  for(let cy=box.y0; cy<box.y1; cy+=ch) for(let cx=box.x0; cx<box.x1; cx+=cw){
+    const core={ x:cx, y:cy, w:Math.min(cw,box.x1-cx), h:Math.min(ch,box.y1-cy) };
+    if(!anyIn(m,W,core)) continue;
+    const x=Math.max(0,Math.min(W-ww,Math.round(core.x+core.w/2-ww/2)));
+    const y=Math.max(0,Math.min(H-wh,Math.round(core.y+core.h/2-wh/2)));
+    out.push({ x, y, w:ww, h:wh, core });
+  }
+  return out;
+}
+function anyIn(m,W,r){ for(let y=r.y;y<r.y+r.h;y++) for(let x=r.x;x<r.x+r.w;x++) if(m[y*W+x]) return true; return false; }
+
+/** Crop a window of a W-wide binary mask. */
+export function cropMask(m, W, win) {
+  const out = new Uint8Array(win.w * win.h);
+  for (let y = 0; y < win.h; y++) out.set(m.subarray((win.y + y) * W + win.x, (win.y + y) * W + win.x + win.w), y * win.w);
+  return out;
+}
+
+/**
+ * Blend a window's model result `res` (win.w×win.h) into `out` over the window core, by `weights` against `src`.
+ * Pixels with weight 0 (outside the dilated mask) keep their source bytes exactly.
+ */
+export function compositeWindow(out, src, res, win, weights) {
+  const W = out.width, c = win.core;
+  for (let y = c.y; y < c.y + c.h; y++) for (let x = c.x; x < c.x + c.w; x++) {
+    const p = y * W + x, a = weights[p];
+    if (!a) continue;
+    const i = p * 4, j = ((y - win.y) * win.w + (x - win.x)) * 4;
+    for (let k = 0; k < 3; k++) out.data[i + k] = Math.round(src.data[i + k] * (1 - a) + res.data[j + k] * a);
+  }
+}
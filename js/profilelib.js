@@ -0,0 +1,173 @@
+// Mask profile library: named region presets and the rules that pick one per image, kept in localStorage
+// and shared between machines as JSON (Import / Export). Data model and geometry live in js/profiles.js.
+import { BUILTIN_PROFILES, validateProfile, pickProfile, drawProfileMask, profileFromMask, serializeProfiles, parseProfilesJSON } from './profiles.js';
+import { maskToBinary } from './pixels.js';
+
+const STORE_KEY = 'lama.maskProfiles';
+
+let _state = null;                  // { profiles, rules, default }
+let _listEl, _rulesEl, _statusEl, _log;
+
+function state() {
+  if (_state) return _state;
+  try {
+    const raw = localStorage.getItem(STORE_KEY);
+    if (raw) return (_state = parseProfilesJSON(raw));
+  } catch (e) {
+    console.warn('Stored mask profiles unreadable; starting from the built-in ones.', e);
+  }
+  return (_state = { profiles: BUILTIN_PROFILES.map(validateProfile), rules: [], default: BUILTIN_PROFILES[0].name });
+}
+
+function save() {
+  localStorage.setItem(STORE_KEY, serializeProfiles(state()));
+  render();
+}
+
+export function initProfileLibrary({ listEl, rulesEl, statusEl, log, importInput, exportBtn, addRuleBtn }) {
+  _listEl = listEl; _rulesEl = rulesEl; _statusEl = statusEl; _log = log || (()=>{});
+  importInput?.addEventListener('change', async () => {
+    const f = importInput.files?.[0];
+    if (f) await importProfiles(f);
+    importInput.value = '';
+  });
+  exportBtn?.addEventListener('click', exportProfiles);
+  addRuleBtn?.addEventListener('click', () => {
+    state().rules.push({ profile: state().default, name: '*' });
+    save();
+  });
+  render();
+}
+
+export function profileNames() { return state().profiles.map(p => p.name); }
+
+/** Starting mask for an image: the first matching rule's profile, else the default. Returns { profile: name, mask }. */
+export function profileMaskFor(name, width, height) {
+  const { profile } = pickProfile(state(), { name, width, height });
+  return { profile: profile.name, mask: drawProfileMask(profile, width, height) };
+}
+
+/** Mask of a named profile at W×H, or null if it no longer exists. */
+export function drawNamedProfile(name, W, H) {
+  const p = state().profiles.find(p => p.name === name);
+  return p ? drawProfileMask(p, W, H) : null;
+}
+
+/** Save a mask canvas as a profile (one anchored rect per region); an existing profile of that name is replaced. */
+export function saveProfileFromMask(name, mask) {
+  const W = mask.width, H = mask.height;
+  // same hole threshold as inpainting, so faint brush edges don't widen the saved regions
+  const m = maskToBinary(mask.getContext('2d').getImageData(0, 0, W, H));
+  putProfile(profileFromMask(name, m, W, H));
+  _log(`mask profile saved: ${name}`);
+}
+
+function putProfile(p) {
+  const list = state().profiles, i = list.findIndex(q => q.name === p.name);
+  if (i >= 0) list[i] = p; else list.push(p);
+  save();
+}
+
+// Profiles with the same name are replaced; rules and the default come from the file when it has them
+async function importProfiles(file) {
+  try {
+    const incoming = parseProfilesJSON(await file.text());
+    for (const p of incoming.profiles) {
+      const list = state().profiles, i = list.findIndex(q => q.name === p.name);
+      if (i >= 0) list[i] = p; else list.push(p);
+    }
+    if (incoming.rules.length) state().rules = incoming.rules;
+    if (incoming.default) state().default = incoming.default;
+    save();
+    _statusEl.textContent = `Imported ${incoming.profiles.length} profile(s) and ${incoming.rules.length} rule(s).`;
+  } catch (e) {
+    _log('Profile import error: ' + (e.message || e));
+    _statusEl.textContent = 'Import failed: ' + (e.message || e);
+  }
+}
+
+function exportProfiles() {
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(new Blob([serializeProfiles(state())], { type: 'application/json' }));
+  a.download = 'mask-profiles.json';
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 500);
+}
+
+function rename(p) {
+  const name = prompt('Profile name', p.name)?.trim();
+  if (!name || name === p.name) return;
+  if (state().profiles.some(q => q.name === name)) { alert(`A profile named "${name}" already exists.`); return; }
+  for (const r of state().rules) if (r.profile === p.name) r.profile = name;
+  if (state().default === p.name) state().default = name;
+  p.name = name;
+  save();
+}
+
+function remove(p) {
+  const s = state();
+  if (s.profiles.length < 2) { alert('Keep at least one profile.'); return; }
+  const used = s.rules.filter(r => r.profile === p.name).length;
+  if (!confirm(`Delete profile "${p.name}"?` + (used ? ` ${used} rule(s) using it are removed too.` : ''))) return;
+  s.profiles = s.profiles.filter(q => q !== p);
+  s.rules = s.rules.filter(r => r.profile !== p.name);
+  if (s.default === p.name) s.default = s.profiles[0].name;
+  save();
+}
+
+function describe(p) {
+  return p.shapes.map(s => `${s.type} ${s.anchor}`).join(', ');
+}
+
+function render() {
+  if (!_listEl) return;
+  const s = state();
+  _listEl.innerHTML = '';
+  for (const p of s.profiles) {
+    const li = document.createElement('li'); li.classList.toggle('active', p.name === s.default);
+    const name = document.createElement('span'); name.className = 'name'; name.textContent = p.name;
+    const info = document.createElement('span'); info.className = 'muted'; info.textContent = describe(p);
+    const def = button(p.name === s.default ? 'Default' : 'Make default', () => { s.default = p.name; save(); });
+    def.disabled = p.name === s.default;
+    li.append(name, info, def, button('Rename', () => rename(p)), button('Delete', () => remove(p)));
+    _listEl.appendChild(li);
+  }
+
+  if (!_rulesEl) return;
+  _rulesEl.innerHTML = '';
+  if (!s.rules.length) { _rulesEl.innerHTML = '<li class="muted">No rules: every image starts with the default profile.</li>'; return; }
+  s.rules.forEach((r, i) => {
+    const li = document.createElement('li');
+    const sel = document.createElement('select');
+    for (const n of profileNames()) sel.add(new Option(n, n, false, n === r.profile));
+    sel.onchange = () => { r.profile = sel.value; save(); };
+    li.append(
+      'If name', field('text', r.name ?? '', '*', (v) => { if (v) r.name = v; else delete r.name; }),
+      'aspect', ...range(r, 'aspect', 0.01), 'width', ...range(r, 'width', 1), 'height', ...range(r, 'height', 1),
+      '→', sel,
+      button('↑', () => { if (i) { s.rules.splice(i - 1, 0, s.rules.splice(i, 1)[0]); save(); } }),
+      button('Delete', () => { s.rules.splice(i, 1); save(); }),
+    );
+    _rulesEl.appendChild(li);
+  });
+}
+
+// [min, max] inputs for one rule condition; both empty drops the condition
+function range(r, key, step) {
+  const set = (k) => (v) => {
+    const b = r[key] ? [...r[key]] : [null, null];
+    b[k] = v === '' ? null : +v;
+    if (b.every(x => x == null)) delete r[key]; else r[key] = b;
+  };
+  const min = field('number', r[key]?.[0] ?? '', 'min', set(0)), max = field('number', r[key]?.[1] ?? '', 'max', set(1));
+  min.step = max.step = step;
+  return [min, max];
+}
+
+function field(type, value, placeholder, onChange) {
+  const el = document.createElement('input'); el.type = type; el.value = value; el.placeholder = placeholder;
+  el.onchange = () => { onChange(el.value.trim()); save(); };
+  return el;
+}
+
+function button(text, fn) { const b = document.createElement('button'); b.type = 'button'; b.textContent = text; b.onclick = fn; return b; }
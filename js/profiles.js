@@ -0,0 +1,170 @@
+// Mask region profiles: a profile is a named set of shapes (normalized rects / polygons), each pinned to an anchor
+// with px margins and a minimum px size. Rules pick a profile per image by filename pattern, aspect ratio or size.
+// Pure data + geometry; js/profilelib.js keeps them in localStorage and renders the panel, cli/image-stripper.js reads them from JSON.
+import { fillPolygons, binaryToMask } from './pixels.js';
+import { imageToCanvas } from './canvasio.js';
+
+export const FORMAT = 'image-stripper.mask-profiles';
+
+// anchor -> [x, y] point of the shape's bounding box that stays put; margins push away from the anchored edges
+export const ANCHORS = {
+  'top-left': [0, 0], 'top': [0.5, 0], 'top-right': [1, 0],
+  'left': [0, 0.5], 'center': [0.5, 0.5], 'right': [1, 0.5],
+  'bottom-left': [0, 1], 'bottom': [0.5, 1], 'bottom-right': [1, 1],
+};
+
+// Seeded on first use; "Upper right" is the historical fixed box (UPPER_RIGHT_FRACTION in js/lama.js)
+export const BUILTIN_PROFILES = [
+  { name: 'Upper right', shapes: [{ type: 'rect', anchor: 'top-right', x: 0.72, y: 0, w: 0.28, h: 0.24 }] },
+  { name: 'Lower left', shapes: [{ type: 'rect', anchor: 'bottom-left', x: 0, y: 0.8, w: 0.28, h: 0.2 }] },
+  { name: 'Bottom banner', shapes: [{ type: 'rect', anchor: 'bottom', x: 0, y: 0.88, w: 1, h: 0.12, min: { w: 0, h: 48 } }] },
+  { name: 'Top corners', shapes: [
+    { type: 'rect', anchor: 'top-left', x: 0, y: 0, w: 0.22, h: 0.14 },
+    { type: 'rect', anchor: 'top-right', x: 0.78, y: 0, w: 0.22, h: 0.14 },
+  ] },
+];
+
+/**
+ * Normalize a profile, throwing an Error that names the bad field.
+ * Shapes: { type: 'rect', x, y, w, h } or { type: 'poly', points: [[x, y], ...] } in image fractions (0..1, from the top-left),
+ * plus `anchor` (see ANCHORS, default 'top-left'), `margin: { x, y }` px and `min: { w, h }` px.
+ */
+export function validateProfile(p) {
+  if (!p || typeof p.name !== 'string' || !p.name.trim()) throw new Error('Every profile needs a name.');
+  const name = p.name.trim();
+  if (!Array.isArray(p.shapes) || !p.shapes.length) throw new Error(`Profile "${name}" has no shapes.`);
+  return { name, shapes: p.shapes.map((s, i) => validateShape(s, `Profile "${name}", shape ${i + 1}`)) };
+}
+
+function validateShape(s, where) {
+  const frac = (v) => Number.isFinite(v) && v >= 0 && v <= 1;
+  const num = (v) => Number.isFinite(+v) ? +v : 0;
+  const anchor = s?.anchor ?? 'top-left';
+  if (!ANCHORS[anchor]) throw new Error(`${where}: unknown anchor "${anchor}".`);
+  const extra = { anchor, margin: { x: num(s.margin?.x), y: num(s.margin?.y) }, min: { w: Math.max(0, num(s.min?.w)), h: Math.max(0, num(s.min?.h)) } };
+  if (s.type === 'rect') {
+    const { x, y, w, h } = s;
+    if (![x, y, w, h].every(frac) || !(w > 0 && h > 0) || x + w > 1 + 1e-6 || y + h > 1 + 1e-6) throw new Error(`${where}: x, y, w, h must be fractions of the image that stay inside it.`);
+    return { type: 'rect', x, y, w, h, ...extra };
+  }
+  if (s.type === 'poly') {
+    if (!Array.isArray(s.points) || s.points.length < 3 || !s.points.every(p => Array.isArray(p) && frac(p[0]) && frac(p[1]))) {
+      throw new Error(`${where}: a polygon needs at least 3 [x, y] points in image fractions.`);
+    }
+    return { type: 'poly', points: s.points.map(([x, y]) => [x, y]), ...extra };
+  }
+  throw new Error(`${where}: type must be "rect" or "poly".`);
+}
+
+/**
+ * Normalize a rule: { profile, name?: glob (* and ?, case-insensitive), aspect?: [min, max], width?: [min, max], height?: [min, max] }.
+ * Aspect is width / height; a null bound is open. All given conditions must hold.
+ */
+export function validateRule(r, profileNames) {
+  if (!r || !profileNames.includes(r.profile)) throw new Error(`Rule refers to unknown profile "${r?.profile}".`);
+  const out = { profile: r.profile };
+  if (r.name != null && r.name !== '') out.name = String(r.name);
+  for (const k of ['aspect', 'width', 'height']) {
+    if (r[k] == null) continue;
+    if (!Array.isArray(r[k]) || r[k].length !== 2 || !r[k].every(v => v == null || Number.isFinite(v))) throw new Error(`Rule for "${r.profile}": ${k} must be [min, max] (null = open).`);
+    if (r[k].some(v => v != null)) out[k] = [r[k][0] ?? null, r[k][1] ?? null];
+  }
+  return out;
+}
+
+export function ruleMatches(rule, { name, width, height }) {
+  if (rule.name && !globToRegExp(rule.name).test(name)) return false;
+  return inRange(width / height, rule.aspect) && inRange(width, rule.width) && inRange(height, rule.height);
+}
+
+/** First matching rule's profile, else the default one. Returns { profile, rule } (rule index, -1 for the default). */
+export function pickProfile({ profiles, rules, default: def }, info) {
+  const byName = (n) => profiles.find(p => p.name === n);
+  const i = rules.findIndex(r => byName(r.profile) && ruleMatches(r, info));
+  return i >= 0 ? { profile: byName(rules[i].profile), rule: i } : { profile: byName(def) || profiles[0] || BUILTIN_PROFILES[0], rule: -1 };
+}
+
+const inRange = (v, [lo, hi] = []) => !(lo != null && v < lo) && !(hi != null && v > hi);
+
+function globToRegExp(glob) {
+  const re = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${re}$`, 'i');
+}
+
+/** Shapes of `profile` as px polygons for a W×H image, after minimum size and margins. */
+export function resolveShapes(profile, W, H) {
+  return profile.shapes.map(s => {
+    const [ax, ay] = ANCHORS[s.anchor] || ANCHORS['top-left'];
+    const pts = (s.type === 'rect' ? [[s.x, s.y], [s.x + s.w, s.y], [s.x + s.w, s.y + s.h], [s.x, s.y + s.h]] : s.points).map(([x, y]) => [x * W, y * H]);
+    const xs = pts.map(p => p[0]), ys = pts.map(p => p[1]);
+    const x0 = Math.min(...xs), y0 = Math.min(...ys), bw = Math.max(...xs) - x0, bh = Math.max(...ys) - y0;
+    // grow to the minimum size away from the anchor, then step in from the anchored edges
+    const sx = bw > 0 ? Math.max(1, (s.min?.w || 0) / bw) : 1, sy = bh > 0 ? Math.max(1, (s.min?.h || 0) / bh) : 1;
+    const px = x0 + bw * ax, py = y0 + bh * ay;
+    const mx = (s.margin?.x || 0) * (1 - 2 * ax), my = (s.margin?.y || 0) * (1 - 2 * ay);
+    return pts.map(([x, y]) => [px + (x - px) * sx + mx, py + (y - py) * sy + my]);
+  });
+}
+
+/** The profile's shapes as a W×H binary mask (1 = hole), corners snapped to whole pixels. */
+export function profileToBinary(profile, W, H) {
+  return fillPolygons(W, H, resolveShapes(profile, W, H).map(poly => poly.map(([x, y]) => [Math.round(x), Math.round(y)])));
+}
+
+/** Fill the profile's shapes into a W×H mask canvas (white = hole). */
+export function drawProfileMask(profile, W, H) {
+  return imageToCanvas(binaryToMask(profileToBinary(profile, W, H), W, H));
+}
+
+/**
+ * Turn a binary mask (Uint8Array, 1 = hole) into a profile: one rect per connected region (on a coarse grid),
+ * anchored to the nearest side or corner so it tracks that edge on other image sizes.
+ */
+export function profileFromMask(name, m, W, H) {
+  const cell = Math.max(4, Math.round(Math.max(W, H) / 256));
+  const gw = Math.ceil(W / cell), gh = Math.ceil(H / cell);
+  const grid = new Uint8Array(gw * gh);
+  for (let y = 0; y < H; y++) for (let x = 0; x < W; x++) if (m[y * W + x]) grid[((y / cell) | 0) * gw + ((x / cell) | 0)] = 1;
+
+  const shapes = [];
+  const seen = new Uint8Array(gw * gh);
+  for (let i = 0; i < grid.length; i++) {
+    if (!grid[i] || seen[i]) continue;
+    let x0 = gw, y0 = gh, x1 = 0, y1 = 0;
+    const stack = [i]; seen[i] = 1;
+    while (stack.length) {
+      const k = stack.pop(), cx = k % gw, cy = (k / gw) | 0;
+      x0 = Math.min(x0, cx); y0 = Math.min(y0, cy); x1 = Math.max(x1, cx); y1 = Math.max(y1, cy);
+      for (let dy = -1; dy <= 1; dy++) for (let dx = -1; dx <= 1; dx++) {
+        const nx = cx + dx, ny = cy + dy, n = ny * gw + nx;
+        if (nx >= 0 && ny >= 0 && nx < gw && ny < gh && grid[n] && !seen[n]) { seen[n] = 1; stack.push(n); }
+      }
+    }
+    const x = x0 * cell / W, y = y0 * cell / H;
+    const w = Math.min(1, (x1 + 1) * cell / W) - x, h = Math.min(1, (y1 + 1) * cell / H) - y;
+    const third = (v) => v < 1 / 3 ? 0 : v > 2 / 3 ? 2 : 1;
+    const anchor = [['top', '', 'bottom'][third(y + h / 2)], ['left', '', 'right'][third(x + w / 2)]].filter(Boolean).join('-') || 'center';
+    shapes.push({ type: 'rect', anchor, x: round4(x), y: round4(y), w: round4(w), h: round4(h) });
+  }
+  if (!shapes.length) throw new Error('The mask is empty.');
+  return validateProfile({ name, shapes });
+}
+const round4 = (v) => Math.round(v * 1e4) / 1e4;
+
+/** JSON for sharing: { format, version, default, profiles, rules }. */
+export function serializeProfiles({ profiles, rules, default: def }) {
+  return JSON.stringify({ format: FORMAT, version: 1, default: def, profiles, rules }, null, 2);
+}
+
+/** Parse and validate shared JSON. Throws an Error describing the first problem. */
+export function parseProfilesJSON(text) {
+  let data;
+  try { data = JSON.parse(text); } catch { throw new Error('Not a JSON file.'); }
+  if (data?.format !== FORMAT) throw new Error('Not a mask profile file.');
+  if (data.version !== 1) throw new Error(`Unsupported mask profile version ${data.version}.`);
+  const profiles = (data.profiles || []).map(validateProfile);
+  const names = profiles.map(p => p.name);
+  if (new Set(names).size !== names.length) throw new Error('Profile names must be unique.');
+  const rules = (data.rules || []).map(r => validateRule(r, names));
+  return { profiles, rules, default: names.includes(data.default) ? data.default : names[0] ?? null };
+}
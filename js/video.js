@@ -0,0 +1,187 @@
+// Video input: frames come from a <video> element seeked frame by frame, each goes through the inpaint pipeline
+// with the tile's mask, the filled region is smoothed over time so it doesn't flicker, and the result is
+// re-encoded as WebM (WebCodecs VideoEncoder + js/webm.js) or zipped as a numbered PNG sequence. Audio is dropped.
+// MP4 input is fine; MP4 output isn't offered: H.264 encoding is missing from some browsers' WebCodecs and would need its own muxer.
+import { createWebmWriter } from './webm.js';
+import { createZipWriter } from './zip.js';
+import { makeCanvas, imageFromDrawable } from './canvasio.js';
+import { maskToBinary, dilate } from './pixels.js';
+
+const DEFAULT_FPS = 30;          // when the browser can't report presented frames
+const VIDEO_EXT = /\.(mp4|m4v|webm|mov|mkv|ogv)$/i;
+const RING = 12;                 // px band around the filled region watched for scene cuts
+const CUT = 24;                  // mean luminance change (0–255) in that band that restarts the smoothing
+const KEY_INTERVAL_S = 2;        // WebM keyframe spacing
+
+export function isVideoFile(file) { return file.type.startsWith('video/') || VIDEO_EXT.test(file.name); }
+
+/**
+ * Open a video file for frame access. Returns { width, height, duration, fps, frameAt(t) → ImageBitmap, close() };
+ * fps is measured from playback (DEFAULT_FPS if the browser can't tell).
+ */
+export async function openVideo(file) {
+  const url = URL.createObjectURL(file);
+  const el = document.createElement('video');
+  el.muted = true; el.playsInline = true; el.preload = 'auto';
+  let fps;
+  try {
+    await new Promise((resolve, reject) => {
+      el.onloadeddata = resolve;
+      el.onerror = () => reject(new Error(`Browser cannot decode ${file.name}.`));
+      el.src = url;
+    });
+    if (!Number.isFinite(el.duration)) await seek(el, 1e9); // recordings without a duration: seeking past the end finds it
+    fps = await measureFps(el);
+  } catch (e) {
+    URL.revokeObjectURL(url);
+    throw e;
+  }
+  return {
+    width: el.videoWidth, height: el.videoHeight, duration: el.duration, fps,
+    async frameAt(t) { await seek(el, Math.min(t, el.duration)); return createImageBitmap(el); },
+    close() { el.removeAttribute('src'); el.load(); URL.revokeObjectURL(url); },
+  };
+}
+
+/**
+ * Inpaint every frame of `video` with `mask` (canvas at the video size) through `inpaintOne` (js/engine.js) and encode.
+ * opts: inpaintOne's options plus format 'webm' | 'png', fps (0 = the clip's), smoothing 0..1 (weight of the previous
+ * frame inside the filled region; 0 = off), name (source file name), onProgress(stage, frac) with stage 'frame i/n'.
+ * Resolves to { blob, name, preview: canvas (first cleaned frame), frames, timings (summed), windows, provider }.
+ */
+export async function processVideo(video, mask, inpaintOne, { format = 'webm', fps, smoothing = 0.5, name = 'video', onProgress, signal, ...opts }) {
+  const W = video.width, H = video.height, rate = fps > 0 ? fps : video.fps;
+  const n = Math.max(1, Math.floor(video.duration * rate + 1e-6));
+  const base = name.replace(/\.[^.]+$/, '');
+  const sink = format === 'png' ? pngSink(base) : await webmSink(W, H, rate);
+  const canvas = makeCanvas(W, H), g = canvas.getContext('2d', { willReadFrequently: true });
+  const smooth = temporalSmoother(mask, W, H, opts.dilate ?? 6, smoothing);
+  const timings = {};
+  let preview = null, windows, provider;
+  try {
+    for (let i = 0; i < n; i++) {
+      signal?.throwIfAborted();
+      const stage = `frame ${i + 1}/${n}`;
+      onProgress?.(stage, i / n);
+      // sample mid-frame so rounding never lands on a neighbour
+      const frame = await video.frameAt((i + 0.5) / rate);
+      const r = await inpaintOne(frame, mask, { ...opts, signal, onProgress: (_, frac) => onProgress?.(stage, (i + frac) / n) });
+      g.drawImage(r.bitmap, 0, 0); r.bitmap.close();
+      for (const [k, v] of Object.entries(r.timings || {})) timings[k] = (timings[k] || 0) + v;
+      windows ??= r.windows; provider = r.provider;
+
+      const img = g.getImageData(0, 0, W, H);
+      smooth(img.data);
+      g.putImageData(img, 0, 0);
+      if (!preview) { preview = makeCanvas(W, H); preview.getContext('2d').drawImage(canvas, 0, 0); }
+      await sink.add(canvas, i);
+    }
+    onProgress?.('encoding', 1);
+    const blob = await sink.finish();
+    return { blob, name: `${base}.clean.${format === 'png' ? 'frames.zip' : 'webm'}`, preview, frames: n, timings, windows, provider };
+  } finally {
+    sink.close?.();
+  }
+}
+
+// EMA of the filled region (the mask dilated as in the pipeline: feathering blends inward, never past it)
+// across frames, in place on RGBA data.
+// A jump in the untouched band around it means a new shot: that frame starts a fresh average.
+function temporalSmoother(mask, W, H, grow, weight) {
+  const region = dilate(maskToBinary(imageFromDrawable(mask)), W, H, grow), band = dilate(region, W, H, RING);
+  const inside = [], ring = [];
+  for (let p = 0; p < region.length; p++) if (region[p]) inside.push(p); else if (band[p]) ring.push(p);
+  const prev = new Uint8ClampedArray(inside.length * 3), lum = new Float32Array(ring.length), prevLum = new Float32Array(ring.length);
+  let first = true;
+  return (d) => {
+    if (!(weight > 0) || !inside.length) return;
+    let diff = 0;
+    for (let k = 0; k < ring.length; k++) {
+      const i = ring[k] * 4;
+      lum[k] = 0.299 * d[i] + 0.587 * d[i + 1] + 0.114 * d[i + 2];
+      diff += Math.abs(lum[k] - prevLum[k]);
+    }
+    const cut = first || (ring.length > 0 && diff / ring.length > CUT);
+    for (let k = 0; k < inside.length; k++) {
+      const i = inside[k] * 4, j = k * 3;
+      if (!cut) for (let c = 0; c < 3; c++) d[i + c] = d[i + c] * (1 - weight) + prev[j + c] * weight;
+      prev[j] = d[i]; prev[j + 1] = d[i + 1]; prev[j + 2] = d[i + 2];
+    }
+    prevLum.set(lum);
+    first = false;
+  };
+}
+
+// WebCodecs encoder (VP9, else VP8) into js/webm.js
+async function webmSink(W, H, fps) {
+  if (typeof VideoEncoder !== 'function') throw new Error('This browser has no WebCodecs video encoder; choose the PNG sequence output.');
+  const bitrate = Math.round(Math.min(20e6, Math.max(1e6, W * H * fps * 0.12)));
+  let pick = null;
+  for (const [codec, id] of [['vp9', 'vp09.00.10.08'], ['vp8', 'vp8']]) {
+    const config = { codec: id, width: W, height: H, bitrate, framerate: fps };
+    if ((await VideoEncoder.isConfigSupported(config).catch(() => ({}))).supported) { pick = { codec, config }; break; }
+  }
+  if (!pick) throw new Error(`No VP9 / VP8 encoder for ${W}×${H} here; choose the PNG sequence output.`);
+  const mux = createWebmWriter({ codec: pick.codec, width: W, height: H, frameRate: fps });
+  let failed = null;
+  const enc = new VideoEncoder({ output: (chunk) => mux.add(chunk), error: (e) => { failed = e; } });
+  enc.configure(pick.config);
+  const keyEvery = Math.max(1, Math.round(fps * KEY_INTERVAL_S));
+  return {
+    async add(canvas, i) {
+      if (failed) throw failed;
+      const frame = new VideoFrame(canvas, { timestamp: Math.round(i * 1e6 / fps), duration: Math.round(1e6 / fps) });
+      enc.encode(frame, { keyFrame: i % keyEvery === 0 });
+      frame.close();
+      while (enc.encodeQueueSize > 2) await new Promise(r => setTimeout(r, 10));
+    },
+    async finish() {
+      await enc.flush();
+      if (failed) throw failed;
+      return mux.finish();
+    },
+    close() { if (enc.state !== 'closed') enc.close(); },
+  };
+}
+
+// Numbered PNGs in a store-only ZIP; parts are Blobs so the browser may keep them on disk
+function pngSink(base) {
+  const parts = [];
+  const zip = createZipWriter((chunk) => { parts.push(chunk instanceof Blob ? chunk : new Blob([chunk])); });
+  return {
+    async add(canvas, i) {
+      const blob = await new Promise((res, rej) => canvas.toBlob(b => b ? res(b) : rej(new Error('Browser cannot encode PNG.')), 'image/png'));
+      await zip.add(`${base}-${String(i + 1).padStart(5, '0')}.png`, blob);
+    },
+    async finish() {
+      await zip.finish();
+      return new Blob(parts, { type: 'application/zip' });
+    },
+  };
+}
+
+function seek(el, t) {
+  return new Promise((resolve, reject) => {
+    if (Math.abs(el.currentTime - t) < 1e-6 && el.readyState >= 2) { resolve(); return; }
+    el.onseeked = () => resolve();
+    el.onerror = () => reject(new Error('Video decode error while seeking.'));
+    el.currentTime = t;
+  });
+}
+
+// Median gap between presented frames over a short muted playback (requestVideoFrameCallback)
+async function measureFps(el) {
+  if (typeof el.requestVideoFrameCallback !== 'function') return DEFAULT_FPS;
+  const times = [];
+  await new Promise((resolve) => {
+    const stop = () => { clearTimeout(timer); el.pause(); resolve(); };
+    const timer = setTimeout(stop, 1500);
+    const tick = (now, meta) => { times.push(meta.mediaTime); if (times.length < 12) el.requestVideoFrameCallback(tick); else stop(); };
+    el.requestVideoFrameCallback(tick);
+    el.play().catch(stop);
+  });
+  await seek(el, 0);
+  const gaps = times.slice(1).map((t, i) => t - times[i]).filter(g => g > 0).sort((a, b) => a - b);
+  const fps = gaps.length ? 1 / gaps[gaps.length >> 1] : 0;
+  return fps >= 1 && fps <= 240 ? Math.round(fps * 100) / 100 : DEFAULT_FPS;
+}
@@ -0,0 +1,95 @@
+// Minimal WebM (Matroska) muxer for one VP8 / VP9 video track fed by WebCodecs' VideoEncoder.
+// Chunks are kept until finish(), which writes the file with known sizes in one go; no audio, no cue index.
+// Elements are trees of byte parts whose sizes add up as they are built, so the Blob is made from the encoded
+// chunks themselves instead of a copy per nesting level.
+
+const ID = {
+  EBML: 0x1A45DFA3, EBMLVersion: 0x4286, EBMLReadVersion: 0x42F7, EBMLMaxIDLength: 0x42F2, EBMLMaxSizeLength: 0x42F3,
+  DocType: 0x4282, DocTypeVersion: 0x4287, DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067, Info: 0x1549A966, TimecodeScale: 0x2AD7B1, Duration: 0x4489, MuxingApp: 0x4D80, WritingApp: 0x5741,
+  Tracks: 0x1654AE6B, TrackEntry: 0xAE, TrackNumber: 0xD7, TrackUID: 0x73C5, TrackType: 0x83, FlagLacing: 0x9C,
+  CodecID: 0x86, DefaultDuration: 0x23E383, Video: 0xE0, PixelWidth: 0xB0, PixelHeight: 0xBA,
+  Cluster: 0x1F43B675, Timecode: 0xE7, SimpleBlock: 0xA3,
+};
+const CODEC_ID = { vp8: 'V_VP8', vp9: 'V_VP9' };
+const MAX_CLUSTER_MS = 30000; // block timecodes are int16 relative to their cluster
+
+/**
+ * Create a muxer for `codec` ('vp8' | 'vp9') frames of width×height at `frameRate`.
+ * Returns { add(chunk: EncodedVideoChunk), finish() → Blob }.
+ */
+export function createWebmWriter({ codec, width, height, frameRate }) {
+  if (!CODEC_ID[codec]) throw new Error(`WebM: unsupported codec ${codec}.`);
+  const clusters = [];   // { time, blocks: [Uint8Array] } in ms
+  let end = 0;
+
+  function add(chunk) {
+    const time = Math.round(chunk.timestamp / 1000), key = chunk.type === 'key';
+    let c = clusters[clusters.length - 1];
+    if (!c || key || time - c.time > MAX_CLUSTER_MS) clusters.push(c = { time, blocks: [] });
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+    const head = new Uint8Array(4);
+    head[0] = 0x81;                                                  // track 1
+    new DataView(head.buffer).setInt16(1, time - c.time);
+    head[3] = key ? 0x80 : 0;
+    c.blocks.push(el(ID.SimpleBlock, [head, data]));
+    end = Math.max(end, time + (chunk.duration ? chunk.duration / 1000 : 1000 / frameRate));
+  }
+
+  function finish() {
+    const header = el(ID.EBML, [
+      uint(ID.EBMLVersion, 1), uint(ID.EBMLReadVersion, 1), uint(ID.EBMLMaxIDLength, 4), uint(ID.EBMLMaxSizeLength, 8),
+      str(ID.DocType, 'webm'), uint(ID.DocTypeVersion, 2), uint(ID.DocTypeReadVersion, 2),
+    ]);
+    const info = el(ID.Info, [uint(ID.TimecodeScale, 1e6), float(ID.Duration, end), str(ID.MuxingApp, 'image-stripper'), str(ID.WritingApp, 'image-stripper')]);
+    const tracks = el(ID.Tracks, [el(ID.TrackEntry, [
+      uint(ID.TrackNumber, 1), uint(ID.TrackUID, 1), uint(ID.TrackType, 1), uint(ID.FlagLacing, 0), str(ID.CodecID, CODEC_ID[codec]),
+      uint(ID.DefaultDuration, Math.round(1e9 / frameRate)),
+      el(ID.Video, [uint(ID.PixelWidth, width), uint(ID.PixelHeight, height)]),
+    ])]);
+    const body = [info, tracks, ...clusters.map(c => el(ID.Cluster, [uint(ID.Timecode, c.time), ...c.blocks]))];
+    return new Blob(parts([header, el(ID.Segment, body)]), { type: 'video/webm' });
+  }
+
+  return { add, finish };
+}
+
+/* ---------- EBML ---------- */
+// An element is { head, kids, size }: its ID and size bytes, then its children (elements or raw bytes), never joined
+function el(id, payload) {
+  const kids = Array.isArray(payload) ? payload : [payload];
+  const size = kids.reduce((n, k) => n + (k instanceof Uint8Array ? k.length : k.size), 0);
+  const idBytes = bytesOf(id, Math.ceil(Math.log2(id + 1) / 8));
+  const head = new Uint8Array(idBytes.length + 8);
+  head.set(idBytes, 0);
+  head.set(vint(size), idBytes.length);
+  return { head, kids, size: head.length + size };
+}
+
+// Elements flattened to their byte parts in file order
+function parts(nodes, out = []) {
+  for (const n of nodes) {
+    if (n instanceof Uint8Array) { out.push(n); continue; }
+    out.push(n.head);
+    parts(n.kids, out);
+  }
+  return out;
+}
+
+// 8-byte size field: every element's header has the same width, whatever size its children add up to
+function vint(n) {
+  const b = bytesOf(n, 8);
+  b[0] |= 0x01;
+  return b;
+}
+
+function bytesOf(n, len) {
+  const b = new Uint8Array(len);
+  for (let i = len - 1; i >= 0; i--) { b[i] = n % 256; n = Math.floor(n / 256); }
+  return b;
+}
+
+const uint = (id, n) => el(id, bytesOf(n, Math.max(1, Math.ceil(Math.log2(n + 1) / 8))));
+const str = (id, s) => el(id, new TextEncoder().encode(s));
+function float(id, v) { const b = new Uint8Array(8); new DataView(b.buffer).setFloat64(0, v); return el(id, b); }
@@ -0,0 +1,98 @@
+// Inference worker: owns the LaMa session and runs decode → preprocess → inference → postprocess off the main thread;
+// reference-logo matching (js/logomatch.js) runs here too.
+// Talks to js/engine.js: requests are { id, cmd, args }, replies { id, ok, result | error }, plus { type: 'progress' | 'log' } events.
+import { initLamaFromBuffer, inpaintUpperRightOne, setExecutionProviders, setLogger, setAssumeBGR, useModel, releaseModel, probeModel, getModelInfo } from './lama.js';
+import { findLogo } from './logomatch.js';
+import { imageFromDrawable } from './canvasio.js';
+
+const ORT_SCRIPT = '/lib/ort.wasm.min.js';
+const ORT_WEBGPU_SCRIPT = '/lib/ort.webgpu.min.js'; // WebGPU + WASM; fetched only once WebGPU is asked for
+
+const jobs = new Map(); // id -> AbortController for in-flight inpaints
+
+setLogger((msg) => self.postMessage({ type: 'log', msg }));
+
+// Module workers have no importScripts(); evaluate the classic ORT bundle and keep its `ort` global.
+// The WebGPU build replaces the WASM one when first needed; lama.js rebuilds sessions made with the old one.
+let _ortReady = null, _ortUrl = null, _numThreads = 0;
+function loadOrt(webgpu = false) {
+  if (_ortUrl === ORT_WEBGPU_SCRIPT || (_ortUrl && !webgpu)) return _ortReady;
+  const url = webgpu ? ORT_WEBGPU_SCRIPT : ORT_SCRIPT, prev = { url: _ortUrl, ready: _ortReady };
+  _ortUrl = url;
+  _ortReady = (async () => {
+    const code = await (await fetch(url)).text();
+    self.ort = new Function(code + '\n;return ort;')();
+    ort.env.wasm.wasmPaths = '/lib/';
+    if (_numThreads) ort.env.wasm.numThreads = _numThreads;
+    if (webgpu) self.postMessage({ type: 'log', msg: `loaded ${url}; WebGPU ${ort.webgpu && 'gpu' in navigator ? 'available' : 'unavailable'} in the worker` });
+  })().catch((e) => {
+    ({ url: _ortUrl, ready: _ortReady } = prev); // a failed WebGPU build leaves the WASM one in place
+    self.postMessage({ type: 'log', msg: `could not load ${url}: ${e.message || e}` });
+    throw e;
+  });
+  return _ortReady;
+}
+const wantsWebGPU = (list) => Array.isArray(list) && list.includes('webgpu');
+let _wantWebGPU = false;
+
+const handlers = {
+  async config({ numThreads, executionProviders }) {
+    if (numThreads) _numThreads = numThreads; // only honoured before the first session
+    if (executionProviders) { _wantWebGPU = wantsWebGPU(executionProviders); setExecutionProviders(executionProviders); }
+    await loadOrt(_wantWebGPU).catch(() => loadOrt(false));
+  },
+  async init({ bytes, id, settings }) {
+    await loadOrt(_wantWebGPU).catch(() => loadOrt(false));
+    const info = await initLamaFromBuffer(bytes, undefined, { id, settings });
+    if (settings?.compat) return info;
+    await probeModel(); // first load: self-test ranges / channel order / dims
+    return getModelInfo();
+  },
+  async probe() { await probeModel(); return getModelInfo(); },
+  use({ id, settings }) { return useModel(id, settings); },
+  release({ id }) { releaseModel(id); },
+  setAssumeBGR({ value }) { setAssumeBGR(value); },
+  cancel({ id }) { jobs.get(id)?.abort(); },
+
+  // NCC search can take seconds on big images; here it only holds up the worker's queue, not the page
+  findLogo({ source, template, opts }) {
+    try { return findLogo(imageFromDrawable(source), template, opts); }
+    finally { source.close(); }
+  },
+
+  async inpaint({ source, mask, opts }, id) {
+    const ac = new AbortController(); jobs.set(id, ac);
+    const progress = (stage, frac) => self.postMessage({ type: 'progress', id, stage, frac });
+    let bmp = source instanceof Blob ? null : source;
+    try {
+      if (wantsWebGPU(opts?.executionProviders)) await loadOrt(true).catch(() => loadOrt(false));
+      progress('decode', 0);
+      if (!bmp) bmp = await createImageBitmap(source, { imageOrientation: 'from-image' });
+      ac.signal.throwIfAborted();
+      // overall progress: decode 0–10%, the pipeline reports the remaining 90%
+      const { canvas, timings, windows, provider } = await inpaintUpperRightOne(bmp, mask, {
+        ...opts, signal: ac.signal,
+        onProgress: (stage, frac) => progress(stage, 0.1 + 0.9 * frac),
+      });
+      const bitmap = await createImageBitmap(canvas);
+      progress('done', 1);
+      return { value: { bitmap, timings, windows, provider }, transfer: [bitmap] };
+    } finally {
+      // transferred bitmaps are ours to free, whether or not the pipeline got through
+      bmp?.close?.(); mask?.close?.();
+      jobs.delete(id);
+    }
+  },
+};
+
+self.onmessage = async (e) => {
+  const { id, cmd, args } = e.data;
+  try {
+    const fn = handlers[cmd];
+    if (!fn) throw new Error(`Unknown worker command: ${cmd}`);
+    const out = await fn(args || {}, id);
+    self.postMessage({ id, ok: true, result: out?.value ?? out }, out?.transfer || []);
+  } catch (err) {
+    self.postMessage({ id, ok: false, error: { name: err?.name || 'Error', message: err?.message || String(err) } });
+  }
+};
@@ -0,0 +1,95 @@
+// Minimal store-only ZIP writer (no compression: images are already compressed).
+// Entries are written to a sink as they are added, so a file stream never holds the whole archive in memory.
+// No ZIP64: archives past 4 GB or 65535 entries are refused rather than written with wrapped sizes.
+
+const MAX_ENTRIES = 0xFFFF, MAX_BYTES = 0xFFFFFFFF;
+
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) { let c = n; for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1; t[n] = c >>> 0; }
+  return t;
+})();
+
+export function crc32(bytes, crc = 0) {
+  crc = ~crc >>> 0;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return ~crc >>> 0;
+}
+
+/**
+ * Create a ZIP writer over `sink` (async (Uint8Array|Blob) => void).
+ * Returns { add(name, data, date?), finish() }; `data` is a Blob, Uint8Array or string.
+ */
+export function createZipWriter(sink) {
+  const enc = new TextEncoder();
+  const central = [];
+  let offset = 0;
+
+  async function add(name, data, date = new Date()) {
+    const bytes = typeof data === 'string' ? enc.encode(data)
+      : data instanceof Uint8Array ? data
+      : new Uint8Array(await data.arrayBuffer());
+    const nameBytes = enc.encode(name);
+    if (central.length >= MAX_ENTRIES) throw new Error(`ZIP archives are limited to ${MAX_ENTRIES} files; export fewer at a time.`);
+    if (offset + 30 + nameBytes.length + bytes.length > MAX_BYTES) throw new Error(`${name} would take the ZIP past 4 GB; export fewer files at a time.`);
+    const crc = crc32(bytes);
+    const [dosTime, dosDate] = dosDateTime(date);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);  // local file header
+    local.setUint16(4, 20, true);          // version needed
+    local.setUint16(6, 0x0800, true);      // UTF-8 names
+    local.setUint16(8, 0, true);           // stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, bytes.length, true);
+    local.setUint32(22, bytes.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+
+    central.push({ nameBytes, crc, size: bytes.length, dosTime, dosDate, offset });
+    await sink(new Uint8Array(local.buffer));
+    await sink(nameBytes);
+    await sink(bytes);
+    offset += 30 + nameBytes.length + bytes.length;
+  }
+
+  async function finish() {
+    const start = offset;
+    if (start + central.reduce((n, e) => n + 46 + e.nameBytes.length, 0) > MAX_BYTES) throw new Error('The ZIP central directory would end past 4 GB; export fewer files at a time.');
+    for (const e of central) {
+      const h = new DataView(new ArrayBuffer(46));
+      h.setUint32(0, 0x02014b50, true);    // central directory header
+      h.setUint16(4, 20, true);            // version made by
+      h.setUint16(6, 20, true);
+      h.setUint16(8, 0x0800, true);
+      h.setUint16(10, 0, true);
+      h.setUint16(12, e.dosTime, true);
+      h.setUint16(14, e.dosDate, true);
+      h.setUint32(16, e.crc, true);
+      h.setUint32(20, e.size, true);
+      h.setUint32(24, e.size, true);
+      h.setUint16(28, e.nameBytes.length, true);
+      h.setUint32(42, e.offset, true);     // extra/comment/disk/attrs stay 0
+      await sink(new Uint8Array(h.buffer));
+      await sink(e.nameBytes);
+      offset += 46 + e.nameBytes.length;
+    }
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);    // end of central directory
+    end.setUint16(8, central.length, true);
+    end.setUint16(10, central.length, true);
+    end.setUint32(12, offset - start, true);
+    end.setUint32(16, start, true);
+    await sink(new Uint8Array(end.buffer));
+  }
+
+  return { add, finish };
+}
+
+function dosDateTime(d) {
+  const time = (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1);
+  const date = ((Math.max(1980, d.getFullYear()) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+  return [time, date];
+}
@@ -0,0 +1,69 @@
+// Reference-logo matching (js/logomatch.js): a scaled copy of the template is found where it was pasted.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createImage, resizeImage } from '../js/pixels.js';
+import { prepareTemplate, findLogo, matchMask } from '../js/logomatch.js';
+
+// Seeded blotchy texture (noise at quarter size, upscaled): busy enough that nothing else matches,
+// smooth enough that the downsampled coarse pass still sees it
+function backdrop(W, H, seed) {
+  const small = createImage(W >> 2, H >> 2);
+  for (let i = 0; i < small.data.length; i++) { seed = (seed * 1103515245 + 12345) >>> 0; small.data[i] = (i & 3) === 3 ? 255 : seed >>> 24; }
+  return resizeImage(small, W, H);
+}
+
+// 80×48 "logo": bright bars and a dark ring, opaque, or cut out to the ring when `shaped`
+function logo(shaped = false) {
+  const W = 80, H = 48, img = createImage(W, H);
+  for (let y = 0; y < H; y++) for (let x = 0; x < W; x++) {
+    const i = (y * W + x) * 4, r = Math.hypot(x - 24, y - 24);
+    const ring = r > 12 && r < 20, bar = x > 48 && (y % 16) < 8;
+    const v = ring ? 20 : bar ? 240 : 160;
+    img.data.set([v, v, ring ? 200 : v, shaped && !ring ? 0 : 255], i);
+  }
+  return img;
+}
+
+function paste(dst, src, x0, y0) {
+  for (let y = 0; y < src.height; y++) for (let x = 0; x < src.width; x++) {
+    const s = (y * src.width + x) * 4, d = ((y0 + y) * dst.width + x0 + x) * 4;
+    if (src.data[s + 3] >= 128) dst.data.set(src.data.subarray(s, s + 3), d);
+  }
+}
+
+test('finds a pasted, scaled copy of the template at its position and scale', () => {
+  const tpl = prepareTemplate(logo());
+  const img = backdrop(480, 320, 1);
+  paste(img, resizeImage(tpl.image, 120, 72), 330, 40); // scale 1.5
+  const [m, ...rest] = findLogo(img, tpl);
+  assert.ok(m, 'no match');
+  assert.equal(rest.length, 0, `extra matches: ${JSON.stringify(rest)}`);
+  assert.ok(Math.abs(m.x - 330) <= 2 && Math.abs(m.y - 40) <= 2, `at ${m.x},${m.y}`);
+  assert.ok(Math.abs(m.scale - 1.5) <= 0.15, `scale ${m.scale}`);
+  assert.ok(m.score >= 0.9, `score ${m.score}`);
+});
+
+test('returns nothing when the logo is absent', () => {
+  assert.deepEqual(findLogo(backdrop(480, 320, 2), prepareTemplate(logo())), []);
+});
+
+test('matchMask covers the box of an opaque crop and only the shape of a cut-out one', () => {
+  const W = 160, H = 100, hit = { x: 10, y: 5, w: 80, h: 48, score: 1, scale: 1 };
+  const box = matchMask(W, H, prepareTemplate(logo()), [hit]);
+  for (let y = 0; y < H; y++) for (let x = 0; x < W; x++) {
+    assert.equal(box[y * W + x], x >= 10 && x < 90 && y >= 5 && y < 53 ? 1 : 0, `pixel ${x},${y}`);
+  }
+
+  const shaped = prepareTemplate(logo(true));
+  assert.equal(shaped.shaped, true);
+  const m = matchMask(W, H, shaped, [hit]);
+  assert.equal(m[(5 + 24) * W + 10 + 24], 0, 'the hole in the ring stays kept');
+  assert.equal(m[(5 + 24) * W + 10 + 40], 1, 'the ring is masked');
+  assert.equal(m[(5 + 4) * W + 10 + 60], 0, 'transparent bars stay kept');
+
+  // hits running off the image are clipped, not wrapped
+  const edge = matchMask(W, H, prepareTemplate(logo()), [{ ...hit, x: 120, y: -20 }]);
+  assert.equal(edge[0 * W + 159], 1);
+  assert.equal(edge[1 * W + 0], 0);
+  assert.equal(edge.reduce((n, v) => n + v, 0), 40 * 28);
+});
@@ -0,0 +1,94 @@
+// Metadata copy (js/metadata.js): EXIF dates and ICC profiles survive a read → write → read round trip.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateSync } from 'node:zlib';
+import { readMetadata, writeMetadata } from '../js/metadata.js';
+import { crc32 } from '../js/zip.js';
+
+const DATES = { DateTime: '2024:05:06 07:08:09', DateTimeOriginal: '2024:05:06 07:08:00', DateTimeDigitized: '2024:05:06 07:08:01' };
+
+// Stand-in for a wide-gamut profile: an ICC header naming an RGB space that is not sRGB, padded to `n` bytes
+function fakeIcc(n) {
+  const icc = new Uint8Array(n);
+  new DataView(icc.buffer).setUint32(0, n);
+  icc.set(bytes('appl\x02\x10\0\0mntrRGB XYZ '), 4);
+  for (let i = 128; i < n; i++) icc[i] = (i * 31) & 0xFF;
+  return icc;
+}
+
+const bytes = (s) => Uint8Array.from(s, ch => ch.charCodeAt(0));
+const ascii = (b, o, n) => String.fromCharCode(...b.subarray(o, o + n));
+const concat = (arrs) => Uint8Array.from(arrs.flatMap(a => [...a]));
+
+function pngChunk(type, data) {
+  const c = new Uint8Array(12 + data.length), v = new DataView(c.buffer);
+  v.setUint32(0, data.length); c.set(bytes(type), 4); c.set(data, 8);
+  v.setUint32(8 + data.length, crc32(c.subarray(4, 8 + data.length)));
+  return c;
+}
+
+// 2×1 opaque RGBA PNG with whatever extra chunks go between IHDR and IDAT
+function png(extra = []) {
+  const ihdr = new Uint8Array(13), v = new DataView(ihdr.buffer);
+  v.setUint32(0, 2); v.setUint32(4, 1); ihdr.set([8, 6, 0, 0, 0], 8);
+  const idat = deflateSync(Uint8Array.from([0, 255, 0, 0, 255, 0, 0, 255, 255]));
+  return new Blob([concat([[0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A], pngChunk('IHDR', ihdr), ...extra, pngChunk('IDAT', idat), pngChunk('IEND', new Uint8Array(0))])]);
+}
+
+function pngChunkTypes(b) {
+  const types = [];
+  for (let p = 8; p + 8 <= b.length;) { const len = new DataView(b.buffer, b.byteOffset).getUint32(p); types.push(ascii(b, p + 4, 4)); p += 12 + len; }
+  return types;
+}
+
+// SOI + JFIF APP0 + a stand-in scan: enough for the marker walk, which stops at SOS
+function jpeg() {
+  const app0 = [0xFF, 0xE0, 0, 16, ...bytes('JFIF\0'), 1, 1, 0, 0, 1, 0, 1, 0, 0];
+  return new Blob([Uint8Array.from([0xFF, 0xD8, ...app0, 0xFF, 0xDA, 0, 2, 1, 2, 3, 0xFF, 0xD9])]);
+}
+
+// Lossless WebP container holding a stand-in VP8L chunk
+function webp() {
+  const body = concat([bytes('VP8L'), [4, 0, 0, 0], [0x2F, 0, 0, 0]]);
+  const head = concat([bytes('RIFF'), [0, 0, 0, 0], bytes('WEBP')]);
+  new DataView(head.buffer).setUint32(4, 4 + body.length, true);
+  return new Blob([concat([head, body])]);
+}
+
+async function tagged(type, icc) {
+  const meta = { orientation: 6, dates: DATES, icc };
+  return writeMetadata(type === 'image/png' ? png() : type === 'image/jpeg' ? jpeg() : webp(), type, meta, { width: 2, height: 1 });
+}
+
+test('a PNG tagged with a non-sRGB profile is read back with its profile and dates', async () => {
+  const icc = fakeIcc(600);
+  const src = png([pngChunk('iCCP', concat([bytes('Display P3\0'), [0], deflateSync(icc)])), pngChunk('sRGB', Uint8Array.of(0))]);
+  const meta = await readMetadata(src);
+  assert.deepEqual(meta.icc, icc);
+
+  const out = await writeMetadata(png(), 'image/png', { ...meta, dates: DATES }, { width: 2, height: 1 });
+  const b = new Uint8Array(await out.arrayBuffer());
+  assert.deepEqual(pngChunkTypes(b), ['IHDR', 'iCCP', 'eXIf', 'IDAT', 'IEND']);
+  const back = await readMetadata(out);
+  assert.deepEqual(back, { orientation: 1, dates: DATES, icc });
+});
+
+for (const type of ['image/png', 'image/jpeg', 'image/webp']) {
+  test(`${type}: EXIF dates and a multi-segment ICC profile round-trip, orientation reset to 1`, async () => {
+    const icc = fakeIcc(70000); // over one JPEG APP2 segment
+    const back = await readMetadata(await tagged(type, icc));
+    assert.deepEqual(back, { orientation: 1, dates: DATES, icc });
+  });
+}
+
+test('srgb output drops the source profile and tags the pixels sRGB instead', async () => {
+  const meta = { orientation: 1, dates: DATES, icc: fakeIcc(600) };
+  const pngOut = await writeMetadata(png([pngChunk('gAMA', Uint8Array.of(0, 0, 0xB1, 0x8F))]), 'image/png', meta, { srgb: true });
+  assert.deepEqual(pngChunkTypes(new Uint8Array(await pngOut.arrayBuffer())), ['IHDR', 'sRGB', 'eXIf', 'IDAT', 'IEND']);
+  assert.deepEqual(await readMetadata(pngOut), { orientation: 1, dates: DATES, icc: null });
+
+  for (const type of ['image/jpeg', 'image/webp']) {
+    const out = await writeMetadata(type === 'image/jpeg' ? jpeg() : webp(), type, meta, { width: 2, height: 1, srgb: true });
+    assert.deepEqual(await readMetadata(out), { orientation: 1, dates: DATES, icc: null }, type);
+  }
+});
@@ -0,0 +1,139 @@
+// Pixel-level checks for the DOM-free pipeline core (js/pixels.js): run with `npm test`.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createImage, letterbox, letterboxMask, unletterbox, packNCHW, unpackNCHW, dilate, bboxOf, featherWeights,
+  planWindows, cropMask, compositeWindow, maskToBinary,
+} from '../js/pixels.js';
+
+// Smooth RGB gradient, opaque; deterministic so failures reproduce
+function gradient(W, H) {
+  const img = createImage(W, H);
+  for (let y = 0; y < H; y++) for (let x = 0; x < W; x++) {
+    const i = (y * W + x) * 4;
+    img.data[i] = Math.round(255 * x / (W - 1)); img.data[i + 1] = Math.round(255 * y / (H - 1)); img.data[i + 2] = 128; img.data[i + 3] = 255;
+  }
+  return img;
+}
+
+// Busy texture: neighbouring pixels differ, so a stray write anywhere shows up
+function noise(W, H) {
+  const img = createImage(W, H);
+  let s = 12345;
+  for (let i = 0; i < img.data.length; i++) { s = (s * 1103515245 + 12345) >>> 0; img.data[i] = (i & 3) === 3 ? 255 : s >>> 24; }
+  return img;
+}
+
+function rectMask(W, H, x0, y0, x1, y1) {
+  const m = new Uint8Array(W * H);
+  for (let y = y0; y < y1; y++) m.fill(1, y * W + x0, y * W + x1);
+  return m;
+}
+
+const maxDiff = (a, b) => { let d = 0; for (let i = 0; i < a.length; i++) d = Math.max(d, Math.abs(a[i] - b[i])); return d; };
+
+test('letterbox centres the image on opaque black and unletterbox maps it back', () => {
+  const src = gradient(40, 20);
+  const { image, map } = letterbox(src, 64, 64);
+  assert.deepEqual(map, { sw: 40, sh: 20, dx: 0, dy: 16, nw: 64, nh: 32, W: 64, H: 64 });
+  for (const y of [0, 15, 48, 63]) for (const x of [0, 31, 63]) {
+    assert.deepEqual([...image.data.subarray((y * 64 + x) * 4, (y * 64 + x) * 4 + 4)], [0, 0, 0, 255], `padding at ${x},${y}`);
+  }
+  const back = unletterbox(image, map);
+  assert.equal(back.width, 40); assert.equal(back.height, 20);
+  assert.ok(maxDiff(back.data, src.data) <= 3, `round trip drifts by ${maxDiff(back.data, src.data)}`);
+});
+
+test('letterbox at the model size is lossless and letterboxMask keeps every hole', () => {
+  const src = noise(32, 32);
+  const { image, map } = letterbox(src, 32, 32);
+  assert.deepEqual(image.data, src.data);
+  assert.deepEqual(unletterbox(image, map).data, src.data);
+
+  const m = new Uint8Array(40 * 20); m[7 * 40 + 33] = 1; // one source pixel
+  const lm = letterboxMask(m, letterbox(gradient(40, 20), 16, 16).map);
+  assert.equal(lm.reduce((n, v) => n + v, 0) > 0, true, 'a single-pixel hole survives downscaling');
+  for (let y = 0; y < 4; y++) for (let x = 0; x < 16; x++) assert.equal(lm[y * 16 + x], 0, 'padding is never a hole');
+});
+
+test('packNCHW writes planar R, G, B then the mask, with the encoding and BGR order applied', () => {
+  const img = createImage(2, 1);
+  img.data.set([255, 0, 51, 255, 102, 204, 0, 255]);
+  const m = Uint8Array.from([0, 1]);
+  const { image, mask } = packNCHW(img, m);
+  assert.deepEqual([...image].map(v => Math.round(v * 255)), [255, 102, 0, 204, 51, 0]);
+  assert.deepEqual([...mask], [0, 1]);
+
+  const enc = (v) => v * 2 - 1;
+  const bgr = packNCHW(img, m, { enc, bgr: true }).image;
+  assert.deepEqual([...bgr].map(v => Math.round((v + 1) / 2 * 255)), [51, 0, 0, 204, 255, 102]);
+
+  // unpack is the inverse: opaque RGBA again, `swap` undoing a BGR plane order
+  const back = unpackNCHW(bgr, 2, 1, { dec: (v) => (v + 1) / 2, swap: true });
+  assert.ok(maxDiff(back.data, img.data) <= 1);
+  assert.equal(back.data[3], 255); assert.equal(back.data[7], 255);
+});
+
+test('dilate grows a hole by r px in every direction and clips at the border', () => {
+  const W = 9, H = 9, m = new Uint8Array(W * H);
+  m[4 * W + 4] = 1; m[0] = 1;
+  const d = dilate(m, W, H, 2);
+  for (let y = 0; y < H; y++) for (let x = 0; x < W; x++) {
+    const want = (Math.abs(x - 4) <= 2 && Math.abs(y - 4) <= 2) || (x <= 2 && y <= 2) ? 1 : 0;
+    assert.equal(d[y * W + x], want, `pixel ${x},${y}`);
+  }
+  assert.deepEqual(dilate(m, W, H, 0), m);
+});
+
+test('featherWeights ramps from the mask edge inward and is exactly 0 outside', () => {
+  const W = 30, H = 30, m = rectMask(W, H, 5, 5, 25, 25), box = bboxOf(m, W, H);
+  const w = featherWeights(m, W, H, 4, box);
+  for (let p = 0; p < m.length; p++) if (!m[p]) assert.equal(w[p], 0);
+  assert.equal(w[15 * W + 15], 1, 'centre is fully filled');
+  const row = [5, 6, 7, 8, 9].map(x => w[15 * W + x]);
+  for (let i = 1; i < row.length; i++) assert.ok(row[i] >= row[i - 1], `ramp not monotone: ${row}`);
+  assert.ok(row[0] > 0 && row[0] < 1, 'edge pixel is blended');
+  assert.deepEqual([...featherWeights(m, W, H, 0, box)], [...m], 'no feather = the mask itself');
+});
+
+test('planWindows covers every hole with cores no smaller than half a window', () => {
+  const W = 1000, H = 50, m = new Uint8Array(W * H).fill(1);
+  const wins = planWindows(m, bboxOf(m, W, H), W, H, 512, 512, 300);
+  assert.ok(wins.length <= 4, `${wins.length} windows`);
+  for (const w of wins) assert.ok(w.core.w >= 256 || w.core.x + w.core.w === W);
+});
+
+test('crop-mode composite leaves every pixel outside the dilated mask byte-identical', () => {
+  const W = 160, H = 96, src = noise(W, H);
+  const holes = dilate(rectMask(W, H, 40, 30, 130, 60), W, H, 6);
+  const box = bboxOf(holes, W, H), weights = featherWeights(holes, W, H, 4, box);
+  const out = { data: new Uint8ClampedArray(src.data), width: W, height: H };
+  const wins = planWindows(holes, box, W, H, 64, 64, 16);
+  assert.ok(wins.length > 1, 'the hole needs several windows');
+
+  const covered = new Uint8Array(W * H);
+  for (const win of wins) {
+    // stand-in model result: solid magenta over the whole window
+    const res = createImage(win.w, win.h);
+    for (let i = 0; i < res.data.length; i += 4) res.data.set([255, 0, 255, 255], i);
+    assert.equal(cropMask(holes, W, win).length, win.w * win.h);
+    compositeWindow(out, src, res, win, weights);
+    const c = win.core;
+    for (let y = c.y; y < c.y + c.h; y++) for (let x = c.x; x < c.x + c.w; x++) covered[y * W + x]++;
+  }
+
+  for (let p = 0; p < W * H; p++) {
+    const i = p * 4, px = [...out.data.subarray(i, i + 4)];
+    if (!holes[p]) assert.deepEqual(px, [...src.data.subarray(i, i + 4)], `pixel ${p % W},${(p / W) | 0} outside the mask changed`);
+    else {
+      assert.equal(covered[p], 1, `hole pixel ${p % W},${(p / W) | 0} filled by ${covered[p]} windows`);
+      if (weights[p] === 1) assert.deepEqual(px, [255, 0, 255, src.data[i + 3]]);
+    }
+  }
+});
+
+test('maskToBinary reads white-on-transparent and opaque black/white masks alike', () => {
+  const img = createImage(6, 1);
+  img.data.set([255, 255, 255, 255, 0, 0, 0, 255, 255, 255, 255, 0, 0, 0, 0, 0, 255, 255, 255, 200, 255, 255, 255, 60]);
+  assert.deepEqual([...maskToBinary(img)], [1, 0, 0, 0, 1, 0]);
+});
@@ -0,0 +1,52 @@
+// Mask profile rules (js/profiles.js): which profile an image gets, and where its shapes land.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BUILTIN_PROFILES, pickProfile, parseProfilesJSON, serializeProfiles, profileToBinary, validateProfile } from '../js/profiles.js';
+
+const rect = (name, anchor = 'top-left') => validateProfile({ name, shapes: [{ type: 'rect', anchor, x: 0, y: 0, w: 0.5, h: 0.5 }] });
+const profiles = ['Wide', 'Shots', 'Big', 'Fallback'].map(n => rect(n));
+const lib = (rules, def = 'Fallback') => ({ profiles, rules, default: def });
+const pick = (l, info) => { const r = pickProfile(l, info); return [r.profile.name, r.rule]; };
+
+test('the first matching rule wins, in list order', () => {
+  const rules = [
+    { profile: 'Shots', name: 'IMG_*.jpg' },
+    { profile: 'Wide', aspect: [1.5, null] },
+    { profile: 'Big', width: [3000, null] },
+  ];
+  assert.deepEqual(pick(lib(rules), { name: 'img_0001.JPG', width: 4000, height: 1000 }), ['Shots', 0], 'name glob is case-insensitive and listed first');
+  assert.deepEqual(pick(lib(rules), { name: 'pano.png', width: 4000, height: 1000 }), ['Wide', 1]);
+  assert.deepEqual(pick(lib(rules), { name: 'pano.png', width: 4000, height: 3000 }), ['Big', 2]);
+  assert.deepEqual(pick(lib([rules[2], rules[1]]), { name: 'pano.png', width: 4000, height: 1000 }), ['Big', 0], 'reordering the rules changes the pick');
+});
+
+test('every condition of a rule must hold, and bounds are inclusive', () => {
+  const rules = [{ profile: 'Shots', name: 'IMG_????.jpg', width: [1000, 2000], height: [null, 1500] }];
+  assert.deepEqual(pick(lib(rules), { name: 'IMG_0001.jpg', width: 2000, height: 1500 }), ['Shots', 0]);
+  assert.deepEqual(pick(lib(rules), { name: 'IMG_0001.jpg', width: 2001, height: 1500 }), ['Fallback', -1]);
+  assert.deepEqual(pick(lib(rules), { name: 'IMG_01.jpg', width: 1500, height: 1000 }), ['Fallback', -1], '? matches exactly one character');
+  assert.deepEqual(pick(lib(rules), { name: 'xIMG_0001.jpg', width: 1500, height: 1000 }), ['Fallback', -1], 'globs match the whole name');
+});
+
+test('rules naming a missing profile are skipped; the default falls back to the first profile, then a built-in', () => {
+  const info = { name: 'a.png', width: 100, height: 100 };
+  assert.deepEqual(pick(lib([{ profile: 'Gone' }, { profile: 'Big' }]), info), ['Big', 1]);
+  assert.deepEqual(pick(lib([], 'Gone'), info), ['Wide', -1]);
+  assert.equal(pickProfile({ profiles: [], rules: [], default: null }, info).profile, BUILTIN_PROFILES[0]);
+});
+
+test('shared JSON round-trips and rejects rules for unknown profiles', () => {
+  const data = lib([{ profile: 'Wide', aspect: [1.5, null] }], 'Big');
+  assert.deepEqual(parseProfilesJSON(serializeProfiles(data)), data);
+  const bad = JSON.parse(serializeProfiles(data)); bad.rules.push({ profile: 'Nope' });
+  assert.throws(() => parseProfilesJSON(JSON.stringify(bad)), /unknown profile "Nope"/);
+});
+
+test('anchored shapes keep their margin from the anchored edges', () => {
+  const p = validateProfile({ name: 'Corner', shapes: [{ type: 'rect', anchor: 'bottom-right', x: 0.75, y: 0.75, w: 0.25, h: 0.25, margin: { x: 4, y: 2 } }] });
+  const W = 40, H = 20, m = profileToBinary(p, W, H);
+  const on = [];
+  for (let y = 0; y < H; y++) for (let x = 0; x < W; x++) if (m[y * W + x]) on.push([x, y]);
+  const xs = on.map(([x]) => x), ys = on.map(([, y]) => y);
+  assert.deepEqual([Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)], [26, 35, 13, 17]);
+});
@@ -0,0 +1,86 @@
+// WebM muxer (js/webm.js): the element tree parses back, with every frame in its cluster at the right time.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWebmWriter } from '../js/webm.js';
+
+const ID = { EBML: 0x1A45DFA3, DocType: 0x4282, Segment: 0x18538067, Info: 0x1549A966, Duration: 0x4489, Tracks: 0x1654AE6B, TrackEntry: 0xAE, CodecID: 0x86, DefaultDuration: 0x23E383, Video: 0xE0, PixelWidth: 0xB0, PixelHeight: 0xBA, Cluster: 0x1F43B675, Timecode: 0xE7, SimpleBlock: 0xA3 };
+const MASTER = new Set([ID.EBML, ID.Segment, ID.Info, ID.Tracks, ID.TrackEntry, ID.Video, ID.Cluster]);
+
+// Stand-in for WebCodecs' EncodedVideoChunk: `frame` fills the payload so each block can be told apart
+const chunk = (frame, ms, key) => {
+  const data = new Uint8Array(50 + frame).fill(frame);
+  return { timestamp: ms * 1000, type: key ? 'key' : 'delta', byteLength: data.length, duration: 100000, copyTo: (d) => d.set(data) };
+};
+
+// EBML variable-length integer at o: [value, length]; IDs keep their length marker bits
+function vint(b, o, isId) {
+  let len = 1, m = 0x80;
+  while (!(b[o] & m)) { m >>= 1; len++; }
+  let v = isId ? b[o] : b[o] & (m - 1);
+  for (let i = 1; i < len; i++) v = v * 256 + b[o + i];
+  return [v, len];
+}
+
+// { id, data } for leaves, { id, kids } for masters; throws if any size overruns its parent
+function parse(b, o = 0, end = b.length) {
+  const out = [];
+  while (o < end) {
+    const [id, il] = vint(b, o, true), [size, sl] = vint(b, o + il), s = o + il + sl;
+    assert.ok(s + size <= end, `element 0x${id.toString(16)} at ${o} overruns its parent`);
+    out.push(MASTER.has(id) ? { id, kids: parse(b, s, s + size) } : { id, data: b.subarray(s, s + size) });
+    o = s + size;
+  }
+  return out;
+}
+
+const find = (nodes, id) => nodes.find(n => n.id === id);
+const uint = (d) => d.reduce((v, x) => v * 256 + x, 0);
+
+test('header, track and clusters parse back; blocks keep their payload, timing and key flag', async () => {
+  const w = createWebmWriter({ codec: 'vp9', width: 64, height: 48, frameRate: 10 });
+  for (let i = 0; i < 25; i++) w.add(chunk(i, i * 100, i % 10 === 0));
+  const blob = w.finish();
+  assert.equal(blob.type, 'video/webm');
+  const [ebml, segment, ...rest] = parse(new Uint8Array(await blob.arrayBuffer()));
+  assert.equal(rest.length, 0);
+  assert.equal(ebml.id, ID.EBML);
+  assert.equal(new TextDecoder().decode(find(ebml.kids, ID.DocType).data), 'webm');
+
+  assert.equal(segment.id, ID.Segment);
+  const info = find(segment.kids, ID.Info);
+  const duration = find(info.kids, ID.Duration).data;
+  assert.equal(new DataView(duration.buffer, duration.byteOffset).getFloat64(0), 2500, 'ms: last frame end');
+  const track = find(find(segment.kids, ID.Tracks).kids, ID.TrackEntry);
+  assert.equal(new TextDecoder().decode(find(track.kids, ID.CodecID).data), 'V_VP9');
+  assert.equal(uint(find(track.kids, ID.DefaultDuration).data), 1e8);
+  const video = find(track.kids, ID.Video);
+  assert.deepEqual([uint(find(video.kids, ID.PixelWidth).data), uint(find(video.kids, ID.PixelHeight).data)], [64, 48]);
+
+  // a new cluster at every key frame
+  const clusters = segment.kids.filter(n => n.id === ID.Cluster);
+  assert.deepEqual(clusters.map(c => uint(find(c.kids, ID.Timecode).data)), [0, 1000, 2000]);
+  let frame = 0;
+  for (const c of clusters) {
+    const base = uint(find(c.kids, ID.Timecode).data);
+    for (const { data } of c.kids.filter(n => n.id === ID.SimpleBlock)) {
+      assert.equal(data[0], 0x81, 'track 1');
+      assert.equal(base + new DataView(data.buffer, data.byteOffset).getInt16(1), frame * 100);
+      assert.equal(data[3], frame % 10 === 0 ? 0x80 : 0, `key flag of frame ${frame}`);
+      assert.deepEqual(data.subarray(4), new Uint8Array(50 + frame).fill(frame));
+      frame++;
+    }
+  }
+  assert.equal(frame, 25);
+});
+
+test('long runs without a key frame still start a cluster every 30 s', async () => {
+  const w = createWebmWriter({ codec: 'vp8', width: 8, height: 8, frameRate: 1 });
+  for (let s = 0; s <= 70; s += 10) w.add(chunk(s, s * 1000, s === 0));
+  const segment = parse(new Uint8Array(await w.finish().arrayBuffer()))[1];
+  const clusters = segment.kids.filter(n => n.id === ID.Cluster);
+  assert.deepEqual(clusters.map(c => uint(find(c.kids, ID.Timecode).data)), [0, 40000]);
+});
+
+test('rejects codecs WebM cannot carry here', () => {
+  assert.throws(() => createWebmWriter({ codec: 'avc1', width: 8, height: 8, frameRate: 30 }), /unsupported codec avc1/);
+});
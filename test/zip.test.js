@@ -0,0 +1,73 @@
+// Store-only ZIP writer (js/zip.js): every entry reads back byte for byte with the CRC a standard tool computes.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32 as zlibCrc32 } from 'node:zlib';
+import { createZipWriter, crc32 } from '../js/zip.js';
+
+async function build(entries) {
+  const parts = [];
+  const zip = createZipWriter(async (chunk) => { parts.push(chunk instanceof Uint8Array ? chunk : new Uint8Array(await chunk.arrayBuffer())); });
+  for (const [name, data, date] of entries) await zip.add(name, data, date);
+  await zip.finish();
+  return new Uint8Array(Buffer.concat(parts));
+}
+
+// Walk the archive from its end record: central directory first, then each local header it points at
+function read(b) {
+  const v = new DataView(b.buffer, b.byteOffset, b.byteLength), dec = new TextDecoder();
+  const eocd = b.length - 22;
+  assert.equal(v.getUint32(eocd, true), 0x06054b50, 'end of central directory record');
+  const count = v.getUint16(eocd + 10, true), cdSize = v.getUint32(eocd + 12, true), cdStart = v.getUint32(eocd + 16, true);
+  assert.equal(cdStart + cdSize, eocd, 'central directory ends where the end record starts');
+  const out = [];
+  for (let i = 0, p = cdStart; i < count; i++) {
+    assert.equal(v.getUint32(p, true), 0x02014b50, `central header ${i}`);
+    const crc = v.getUint32(p + 16, true), size = v.getUint32(p + 24, true), nameLen = v.getUint16(p + 28, true);
+    const name = dec.decode(b.subarray(p + 46, p + 46 + nameLen)), at = v.getUint32(p + 42, true);
+    assert.equal(v.getUint32(at, true), 0x04034b50, `local header of ${name}`);
+    assert.equal(v.getUint32(at + 14, true), crc, `local CRC of ${name}`);
+    assert.equal(v.getUint32(at + 22, true), size, `local size of ${name}`);
+    assert.equal(dec.decode(b.subarray(at + 30, at + 30 + nameLen)), name);
+    const data = b.subarray(at + 30 + nameLen, at + 30 + nameLen + size);
+    out.push({ name, crc, data, flags: v.getUint16(p + 8, true), time: v.getUint16(p + 12, true), date: v.getUint16(p + 14, true) });
+    p += 46 + nameLen;
+  }
+  return out;
+}
+
+test('crc32 matches the standard check value and zlib', () => {
+  const check = new TextEncoder().encode('123456789');
+  assert.equal(crc32(check), 0xCBF43926);
+  assert.equal(crc32(new Uint8Array(0)), 0);
+  const big = Uint8Array.from({ length: 5000 }, (_, i) => (i * 7919) & 0xFF);
+  assert.equal(crc32(big), zlibCrc32(big));
+  assert.equal(crc32(big.subarray(1000), crc32(big.subarray(0, 1000))), crc32(big), 'running CRC over two halves');
+});
+
+test('entries round-trip with names, bytes, CRCs and dates', async () => {
+  const bin = Uint8Array.from({ length: 70000 }, (_, i) => (i * 31 + (i >> 8)) & 0xFF);
+  const when = new Date(2024, 4, 6, 7, 8, 10);
+  const entries = [
+    ['manifest.json', '{"ok":true}'],
+    ['results/ünïcode photo.clean.png', bin, when],
+    ['masks/a.mask.png', new Blob([bin.subarray(0, 123)])],
+    ['empty.txt', new Uint8Array(0)],
+  ];
+  const got = read(await build(entries));
+  assert.deepEqual(got.map(e => e.name), entries.map(e => e[0]));
+  const want = [new TextEncoder().encode('{"ok":true}'), bin, bin.subarray(0, 123), new Uint8Array(0)];
+  got.forEach((e, i) => {
+    assert.deepEqual(e.data, want[i], e.name);
+    assert.equal(e.crc, zlibCrc32(want[i]), `CRC of ${e.name}`);
+    assert.equal(e.flags & 0x0800, 0x0800, 'names are flagged UTF-8');
+  });
+  assert.equal(got[1].date, ((2024 - 1980) << 9) | (5 << 5) | 6);
+  assert.equal(got[1].time, (7 << 11) | (8 << 5) | 5);
+});
+
+test('refuses entry 65536 instead of wrapping the 16-bit count', async () => {
+  const zip = createZipWriter(() => {});
+  const empty = new Uint8Array(0);
+  for (let i = 0; i < 0xFFFF; i++) await zip.add(`${i}`, empty);
+  await assert.rejects(zip.add('one-too-many', empty), /limited to 65535 files/);
+});